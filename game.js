@@ -14,39 +14,83 @@
 
   function now() { return performance.now(); }
 
-  // Tiny blip synth (no external audio)
+  // Offers `data` as a pretty-printed .json download
+  function downloadJson(filename, data) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  // Tiny synth (no external audio). Everything runs through a master gain
+  // (mute) that feeds two buses: "sfx" for blips, "music" for the score.
   class TinyAudio {
     constructor() {
       this.ctx = null;
+      this.buses = null;
       this.muted = false;
+      this.volume = { music: 0.7, sfx: 1 };
+    }
+    ensure() {
+      if (!this.ctx) {
+        this.ctx = new (window.AudioContext || window.webkitAudioContext)();
+        const bus = (to) => {
+          const g = this.ctx.createGain();
+          g.connect(to);
+          return g;
+        };
+        const master = bus(this.ctx.destination);
+        this.buses = { master, music: bus(master), sfx: bus(master) };
+        this.applyLevels();
+      }
+      return this.ctx;
     }
-    toggleMute() { this.muted = !this.muted; }
+    applyLevels() {
+      if (!this.buses) return;
+      const t0 = this.ctx.currentTime;
+      this.buses.master.gain.setTargetAtTime(this.muted ? 0 : 1, t0, 0.05);
+      this.buses.music.gain.setTargetAtTime(this.volume.music, t0, 0.05);
+      this.buses.sfx.gain.setTargetAtTime(this.volume.sfx, t0, 0.05);
+    }
+    setMuted(muted) { this.muted = muted; this.applyLevels(); }
+    toggleMute() { this.setMuted(!this.muted); }
+    setVolume(bus, v) { this.volume[bus] = clamp(v, 0, 1); this.applyLevels(); }
     beep(freq = 660, dur = 0.06, type = 'sine', gain = 0.03) {
       if (this.muted) return;
       try {
-        if (!this.ctx) this.ctx = new (window.AudioContext || window.webkitAudioContext)();
-        const t0 = this.ctx.currentTime;
-        const o = this.ctx.createOscillator();
-        const g = this.ctx.createGain();
-        o.type = type;
-        o.frequency.setValueAtTime(freq, t0);
-        g.gain.setValueAtTime(0.0001, t0);
-        g.gain.exponentialRampToValueAtTime(gain, t0 + 0.01);
-        g.gain.exponentialRampToValueAtTime(0.0001, t0 + dur);
-        o.connect(g); g.connect(this.ctx.destination);
-        o.start(t0);
-        o.stop(t0 + dur + 0.01);
+        this.ensure();
+        this.tone(freq, this.ctx.currentTime, dur, { type, gain });
       } catch { /* ignore */ }
     }
+    // One enveloped note at audio time t0, into `out` (default: the sfx bus)
+    tone(freq, t0, dur, { type = 'sine', gain = 0.03, attack = 0.01, detune = 0, out = this.buses.sfx } = {}) {
+      const o = this.ctx.createOscillator();
+      const g = this.ctx.createGain();
+      o.type = type;
+      o.frequency.setValueAtTime(freq, t0);
+      o.detune.setValueAtTime(detune, t0);
+      g.gain.setValueAtTime(0.0001, t0);
+      g.gain.exponentialRampToValueAtTime(gain, t0 + attack);
+      g.gain.exponentialRampToValueAtTime(0.0001, t0 + dur);
+      o.connect(g); g.connect(out);
+      o.start(t0);
+      o.stop(t0 + dur + 0.01);
+    }
   }
 
   // ---------- DOM ----------
   const canvas = document.getElementById('game');
-  const ctx = canvas.getContext('2d', { alpha: false });
+  const screenCtx = canvas.getContext('2d', { alpha: false });
 
   const dialoguePanel = document.getElementById('dialoguePanel');
   const dialogueName = document.getElementById('dialogueName');
   const dialogueText = document.getElementById('dialogueText');
+  const portraitCanvas = document.getElementById('portrait');
   const choicesEl = document.getElementById('choices');
   const btnContinue = document.getElementById('btnContinue');
   const btnCloseDialogue = document.getElementById('btnCloseDialogue');
@@ -58,23 +102,86 @@
   const fragmentsCountEl = document.getElementById('fragmentsCount');
   const fragmentsGrid = document.getElementById('fragmentsGrid');
   const storyNote = document.getElementById('storyNote');
+  const chapterTag = document.getElementById('chapterTag');
+  const storyHeader = document.getElementById('storyHeader');
+  const chapterTitle = document.getElementById('chapterTitle');
+  const btnChapterPrev = document.getElementById('btnChapterPrev');
+  const btnChapterNext = document.getElementById('btnChapterNext');
+  const btnReplayEnding = document.getElementById('btnReplayEnding');
+  const memoryNote = document.getElementById('memoryNote');
   const tapHint = document.getElementById('tapHint');
 
   const warmthValue = document.getElementById('warmthValue');
+  const warmthGauge = document.getElementById('warmthGauge');
+  const warmthFill = document.getElementById('warmthFill');
+  const warmthCapEl = document.getElementById('warmthCap');
+  const clockPeriod = document.getElementById('clockPeriod');
+  const clockValue = document.getElementById('clockValue');
+  const toastEl = document.getElementById('toast');
+  const srAnnounce = document.getElementById('srAnnounce');
+  const hintTip = document.getElementById('hintTip');
+  const hintText = document.getElementById('hintText');
+
+  const inventoryPanel = document.getElementById('inventoryPanel');
+  const titleScreen = document.getElementById('titleScreen');
+  const slotList = document.getElementById('slotList');
+  const btnContinueLast = document.getElementById('btnContinueLast');
+  const dataErrors = document.getElementById('dataErrors');
+  const dataErrorList = document.getElementById('dataErrorList');
+
+  const btnExportSave = document.getElementById('btnExportSave');
+  const btnImportSave = document.getElementById('btnImportSave');
+  const importFile = document.getElementById('importFile');
+  const editorPanel = document.getElementById('editorPanel');
+  const editorSelection = document.getElementById('editorSelection');
+  const editorScene = document.getElementById('editorScene');
+  const editorWeather = document.getElementById('editorWeather');
+  const btnEditorFlash = document.getElementById('btnEditorFlash');
+  const btnEditorUndo = document.getElementById('btnEditorUndo');
+  const btnEditorRedo = document.getElementById('btnEditorRedo');
+  const btnEditorExport = document.getElementById('btnEditorExport');
+  const btnBacklog = document.getElementById('btnBacklog');
+  const btnJournal = document.getElementById('btnJournal');
+  const journalPanel = document.getElementById('journalPanel');
+  const journalTitle = document.getElementById('journalTitle');
+  const journalList = document.getElementById('journalList');
+  const journalEmpty = document.getElementById('journalEmpty');
+  const btnCloseJournal = document.getElementById('btnCloseJournal');
+  const btnSettings = document.getElementById('btnSettings');
+  const settingsPanel = document.getElementById('settingsPanel');
+  const btnCloseSettings = document.getElementById('btnCloseSettings');
+  const optReducedMotion = document.getElementById('optReducedMotion');
+  const optHighContrast = document.getElementById('optHighContrast');
+  const optTextSize = document.getElementById('optTextSize');
+  const optMusic = document.getElementById('optMusic');
+  const optSfx = document.getElementById('optSfx');
+  const optMuted = document.getElementById('optMuted');
+  const optRealClock = document.getElementById('optRealClock');
+  const btnResetSettings = document.getElementById('btnResetSettings');
 
   // ---------- Game State ----------
   const audio = new TinyAudio();
 
   const TILE = 6; // pixel tile size in screen pixels (virtual)
-  const W = canvas.width;
-  const H = canvas.height;
+  const W = 960;  // virtual framebuffer; the visible canvas scales it up
+  const H = 540;
+
+  const frame = makeLayer();
+  let ctx = frame.ctx; // drawing primitives target this; swapped while baking layers
 
   const state = {
     time: 0,
     dt: 0,
     last: now(),
     hoveredId: null,
-    pointer: { x: 0, y: 0, down: false, justDown: false },
+    hoveredExit: null,
+    idle: false,          // frame pacing has slowed down (no recent input)
+    focusId: null,       // keyboard focus: spirit id or 'exit:<scene>'
+    scene: 'living',
+    transition: null, // { to, t } while fading between rooms
+    pointer: { x: 0, y: 0, down: false, justDown: false, touch: false, alt: false },
+    press: null,          // touch in progress: { t, long }
+    pressHintId: null,    // spirit whose hint a long-press revealed
     dialog: {
       open: false,
       objId: null,
@@ -82,14 +189,31 @@
       locked: false, // while in mini game
     },
     fragments: [],
-    warmth: 0, // 0..1, grows as you help
+    warmth: 0, // 0..1, grows as you help and cools when spirits are left alone
+    warmthPeak: 0, // highest warmth so far; rooms and decor open against this
+    lastCare: 0,   // state.time of the last visit to any spirit
+    clock: 9,      // in-game hour, 0..24 (see Clock)
     discoveredAny: false,
+    visits: {}, // objId -> times their dialogue was opened
+    moods: {},  // objId -> { mood, strength } (see Moods)
+    flags: {},  // set/cleared by dialogue effects
+    journal: [], // lines, choices and results so far (see Journal)
+    epilogue: false, // the ending has played; the house stays fully lit
   };
 
   // Pre-fill fragments slots (12)
   const FRAG_SLOTS = 12;
   for (let i = 0; i < FRAG_SLOTS; i++) state.fragments.push(false);
 
+  // Quest lifecycle shared by every spirit. Closing the dialogue mid-game
+  // pauses a quest; reopening offers to resume it or start fresh.
+  const QuestStatus = Object.freeze({
+    NOT_STARTED: 'not-started',
+    IN_PROGRESS: 'in-progress',
+    PAUSED: 'paused',
+    COMPLETE: 'complete',
+  });
+
   // ---------- Pixel Drawing Primitives ----------
   function pxRect(x, y, w, h, color) {
     ctx.fillStyle = color;
@@ -101,929 +225,4295 @@
     ctx.strokeRect((x|0) + 0.5, (y|0) + 0.5, (w|0) - 1, (h|0) - 1);
   }
 
-  // Soft light (additive-ish using globalAlpha)
+  // Soft light (additive-ish using globalAlpha). Each radius/colour pair is
+  // rendered to a sprite once instead of building a gradient every frame.
+  const glowSprites = new Map();
+
+  function glowSprite(r, color) {
+    const key = `${r}|${color}`;
+    let sprite = glowSprites.get(key);
+    if (!sprite) {
+      sprite = document.createElement('canvas');
+      sprite.width = sprite.height = r * 2;
+      const g2 = sprite.getContext('2d');
+      const g = g2.createRadialGradient(r, r, 0, r, r, r);
+      g.addColorStop(0, color);
+      g.addColorStop(1, 'rgba(0,0,0,0)');
+      g2.fillStyle = g;
+      g2.fillRect(0, 0, r * 2, r * 2);
+      glowSprites.set(key, sprite);
+    }
+    return sprite;
+  }
+
   function softGlow(cx, cy, r, color, alpha=0.18) {
-    const g = ctx.createRadialGradient(cx, cy, 0, cx, cy, r);
-    g.addColorStop(0, color);
-    g.addColorStop(1, 'rgba(0,0,0,0)');
-    ctx.save();
+    if (maskPass) return; // light isn't part of an object's shape
+    const rr = Math.max(1, Math.round(r));
+    const prev = ctx.globalAlpha;
     ctx.globalAlpha = alpha;
-    ctx.fillStyle = g;
-    ctx.beginPath();
-    ctx.arc(cx, cy, r, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.restore();
+    ctx.drawImage(glowSprite(rr, color), cx - rr, cy - rr);
+    ctx.globalAlpha = prev;
   }
 
-  // ---------- Room Objects / Spirits ----------
-  // All object rects are in screen pixels.
-  // Each has a hidden spirit + quest state.
-  const objects = [
-    {
-      id: 'toaster',
-      name: 'Bramble the Toaster Spirit',
-      bounds: { x: 575, y: 312, w: 90, h: 58 },
-      hint: 'A toaster sits quietly… but it feels a little tense.',
-      spirit: {
-        emoji: '🧡',
-        colorA: '#ffd48a',
-        colorB: '#e68a56',
-        mood: 'anxious',
-        fragmentIndex: 0,
-      },
-      quest: {
-        stage: 0, // 0 not started, 1 doing, 2 complete
-        heat: 0.5,
-      },
-      script: {
-        intro: [
-          "…oh! You can see me?",
-          "I’m Bramble. I live in warm coils and tiny crumbs.",
-          "I’m supposed to toast bread, but… what if I burn it?",
-          "Burnt bread smells like disappointment."
-        ],
-        after: [
-          "Thank you for staying with me.",
-          "I can do warmth without fear."
-        ]
-      }
-    },
-    {
-      id: 'lamp',
-      name: 'Luma the Lamp Spirit',
-      bounds: { x: 292, y: 228, w: 74, h: 132 },
-      hint: 'A standing lamp. It looks like it wants to perform.',
-      spirit: {
-        emoji: '✨',
-        colorA: '#fff4c9',
-        colorB: '#f0b46b',
-        mood: 'shy',
-        fragmentIndex: 1,
-      },
-      quest: {
-        stage: 0,
-        courage: 0,
-        target: 3,
-      },
-      script: {
-        intro: [
-          "Hi… I’m Luma.",
-          "I love lighting up rooms.",
-          "But when people look at me, I… flicker.",
-          "Could you help me practice? Just a little glow. Together."
-        ],
-        after: [
-          "I did it. I didn’t run away into dimness.",
-          "Your attention felt… gentle."
-        ]
-      }
-    },
-    {
-      id: 'teacup',
-      name: 'Mallow the Teacup Spirit',
-      bounds: { x: 712, y: 208, w: 62, h: 56 },
-      hint: 'A teacup on the shelf. Something inside is listening.',
-      spirit: {
-        emoji: '☁️',
-        colorA: '#d6c9ff',
-        colorB: '#ffcad4',
-        mood: 'lonely',
-        fragmentIndex: 2,
-      },
-      quest: {
-        stage: 0,
-        friendsPlaced: 0,
-        needs: 2,
-      },
-      script: {
-        intro: [
-          "Oh… hello.",
-          "I’m Mallow. I live in little rings of porcelain.",
-          "I’m up here all day. It gets… quiet.",
-          "Could we make this shelf feel less alone?"
-        ],
-        after: [
-          "It’s not the noise I wanted… it’s the company.",
-          "Thank you for making space for me."
-        ]
-      }
-    },
-    // Extra “discover only” spirits (no quests yet, but little lore + fragments later)
-    {
-      id: 'book',
-      name: 'Sable the Book Spirit',
-      bounds: { x: 184, y: 214, w: 78, h: 82 },
-      hint: 'Books breathe when nobody’s looking.',
-      spirit: {
-        emoji: '📚',
-        colorA: '#bce7d6',
-        colorB: '#83b3ff',
-        mood: 'curious',
-        fragmentIndex: 3,
-      },
-      quest: { stage: 0 },
-      script: {
-        intro: [
-          "I’m Sable, a story folded into paper.",
-          "Every time you open a page, I stretch my little legs.",
-          "Come back later. I’ll have a memory to share."
-        ],
-        after: [
-          "Books remember hands. Softly. Kindly."
-        ]
-      }
-    },
-    {
-      id: 'plant',
-      name: 'Sprig the Plant Spirit',
-      bounds: { x: 84, y: 288, w: 92, h: 108 },
-      hint: 'A plant that seems… proud of its leaves.',
-      spirit: {
-        emoji: '🌿',
-        colorA: '#bce7d6',
-        colorB: '#ffd48a',
-        mood: 'steady',
-        fragmentIndex: 4,
-      },
-      quest: { stage: 0 },
-      script: {
-        intro: [
-          "Hi. I’m Sprig.",
-          "I’m learning patience from sunlight.",
-          "If you ever forget to breathe, watch leaves. They never hurry."
-        ],
-        after: [
-          "Small days are still days worth living."
-        ]
-      }
-    }
-  ];
+  // ---------- Sprites ----------
+  // Pixel art lives in the #spriteData block as string grids: one character
+  // per cell (drawn `scale` px square), looked up in the sprite's own palette
+  // and then the shared one; "." is clear. A "$name" colour is filled in at
+  // draw time, which is how one blob serves every spirit. Frames are painted
+  // to their own small canvases once and blitted from then on.
+  // Animations are lists of [frame, seconds] that loop.
+  let spriteSheet = { palette: {}, sprites: {} };
+  const spriteCanvases = new Map(); // name|frame|colours -> canvas
 
-  // ---------- UI: Fragments ----------
-  function renderFragmentsUI() {
-    fragmentsGrid.innerHTML = '';
-    const found = state.fragments.filter(Boolean).length;
-    fragmentsCountEl.textContent = String(found);
+  // Every sprite the room draws; the data must provide each one
+  const ROOM_SPRITES = ['blob', 'portrait', 'lamp', 'bed', 'plant', 'table', 'toaster', 'teacup',
+    'kettle', 'jar', 'trunk', 'horse', 'radio', 'can', 'chime'];
+  // Portrait expressions dialogue lines can ask for with "face"
+  const FACES = ['neutral', 'nervous', 'happy', 'proud'];
+  // Animations the code plays, per sprite
+  const SPRITE_ANIMATIONS = { blob: ['idle', 'wave', 'react'], portrait: FACES };
 
-    for (let i = 0; i < FRAG_SLOTS; i++) {
-      const d = document.createElement('div');
-      d.className = 'frag' + (state.fragments[i] ? ' found' : '');
-      d.textContent = state.fragments[i] ? '✶' : '·';
-      fragmentsGrid.appendChild(d);
+  async function loadSprites() {
+    const el = document.getElementById('spriteData');
+    if (!el) return ['The page has no #spriteData block.'];
+    let sheet;
+    try {
+      sheet = await readJsonBlock(el);
+    } catch (err) {
+      return [err.message];
     }
-
-    // Gentle “room story” unlock at 3 fragments
-    if (found >= 3) {
-      storyNote.textContent =
-        "The room feels warmer now. The objects don’t feel like objects—" +
-        " they feel like neighbors. You notice the quiet has a heartbeat.";
-      warmthValue.textContent = '🕯️';
-    } else if (found >= 1) {
-      storyNote.textContent =
-        "You’ve started collecting tiny memories. They feel like warm dust in sunbeams.";
-      warmthValue.textContent = '☕';
-    } else {
-      storyNote.textContent =
-        "Find spirits inside everyday objects. Help them with small, wholesome worries.";
-      warmthValue.textContent = '🫖';
+    const errors = validateSprites(sheet);
+    if (!errors.length) {
+      spriteSheet = { palette: {}, ...sheet };
+      spriteCanvases.clear();
     }
+    return errors;
   }
 
-  function awardFragment(obj) {
-    const idx = obj.spirit.fragmentIndex;
-    if (idx == null) return;
-    if (!state.fragments[idx]) {
-      state.fragments[idx] = true;
-      state.warmth = clamp(state.warmth + 0.18, 0, 1);
-      renderFragmentsUI();
-      audio.beep(880, 0.07, 'triangle', 0.04);
-      audio.beep(1120, 0.05, 'sine', 0.03);
+  function validateSprites(sheet) {
+    if (!sheet?.sprites || typeof sheet.sprites !== 'object') {
+      return ['sprites: expected an object with "sprites" and an optional shared "palette".'];
     }
-  }
-
-  // ---------- Dialogue System ----------
-  let queuedLines = [];
-  let currentObj = null;
+    const errors = [];
+    const shared = sheet.palette || {};
+    const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
 
-  function openDialogue(obj) {
-    currentObj = obj;
-    state.dialog.open = true;
-    state.dialog.objId = obj.id;
-    state.dialog.step = 0;
-    state.dialog.locked = false;
+    Object.entries(sheet.sprites).forEach(([name, s]) => {
+      const err = (msg) => errors.push(`sprites.${name}: ${msg}`);
+      if (!s || typeof s !== 'object') return err('must be an object.');
+      if (s.scale !== undefined && !(Number.isInteger(s.scale) && s.scale > 0)) err('"scale" must be a whole number above 0.');
+      if (s.offset !== undefined && !(Array.isArray(s.offset) && s.offset.length === 2 && s.offset.every(isNum))) err('"offset" must be [x, y].');
 
-    state.discoveredAny = true;
-    tapHint.style.display = 'none';
+      const frames = s.frames && typeof s.frames === 'object' ? s.frames : {};
+      if (!frames.idle) err('needs an "idle" frame (the one drawn by default).');
+      Object.entries(frames).forEach(([frame, rows]) => {
+        if (!Array.isArray(rows) || !rows.length || !rows.every(r => typeof r === 'string' && r.length)) {
+          return err(`frame "${frame}" must be a non-empty list of rows.`);
+        }
+        if (rows.some(r => r.length !== rows[0].length)) err(`frame "${frame}" has rows of different widths.`);
+        const unknown = new Set([...rows.join('')].filter(ch => ch !== '.' && !(ch in (s.palette || {})) && !(ch in shared)));
+        if (unknown.size) err(`frame "${frame}" uses ${[...unknown].map(ch => `“${ch}”`).join(', ')}, which no palette defines.`);
+      });
 
-    queuedLines = [];
-    const isComplete = (obj.quest?.stage === 2);
-    const lines = isComplete ? obj.script.after : obj.script.intro;
-    queuedLines.push(...lines);
+      Object.entries(s.animations || {}).forEach(([anim, seq]) => {
+        if (!Array.isArray(seq) || !seq.length) return err(`animation "${anim}" must be a list of [frame, seconds].`);
+        seq.forEach((step) => {
+          if (!Array.isArray(step) || !frames[step[0]]) err(`animation "${anim}" names a frame that doesn’t exist (${JSON.stringify(step?.[0])}).`);
+          else if (!isNum(step[1]) || step[1] <= 0) err(`animation "${anim}": "${step[0]}" needs a duration above 0 seconds.`);
+        });
+      });
+    });
 
-    dialogueName.textContent = obj.name;
-    dialoguePanel.classList.remove('hidden');
-    miniGameArea.classList.add('hidden');
-    choicesEl.innerHTML = '';
-    btnContinue.textContent = 'Continue';
-    setDialogueText(nextLine());
-    renderPortrait(obj);
-    audio.beep(640, 0.05, 'sine', 0.03);
+    ROOM_SPRITES.filter(name => !sheet.sprites[name]).forEach(name => errors.push(`sprites: “${name}” is missing; the room draws it.`));
+    Object.entries(SPRITE_ANIMATIONS).forEach(([name, anims]) => {
+      const s = sheet.sprites[name];
+      if (!s || typeof s !== 'object') return;
+      anims.filter(anim => !s.animations?.[anim])
+        .forEach(anim => errors.push(`sprites.${name}: needs a "${anim}" animation.`));
+    });
+    return errors;
   }
 
-  function closeDialogue() {
-    state.dialog.open = false;
-    state.dialog.objId = null;
-    currentObj = null;
-    queuedLines = [];
-    dialoguePanel.classList.add('hidden');
-    choicesEl.innerHTML = '';
-    miniGameArea.classList.add('hidden');
-    audio.beep(420, 0.05, 'sine', 0.02);
+  function spriteColor(s, ch, colors) {
+    if (ch === '.') return null;
+    const color = s.palette?.[ch] ?? spriteSheet.palette[ch];
+    return color.startsWith('$') ? colors?.[color.slice(1)] : color;
   }
 
-  function nextLine() {
-    return queuedLines.length ? queuedLines.shift() : null;
-  }
+  function spriteCanvas(name, frame, colors) {
+    const key = `${name}|${frame}|${colors ? Object.values(colors).join(',') : ''}`;
+    let c = spriteCanvases.get(key);
+    if (c) return c;
 
-  function setDialogueText(t) {
-    dialogueText.textContent = t || '';
+    const s = spriteSheet.sprites[name];
+    const rows = s.frames[frame];
+    const scale = s.scale || 1;
+    c = document.createElement('canvas');
+    c.width = rows[0].length * scale;
+    c.height = rows.length * scale;
+    const g = c.getContext('2d');
+    rows.forEach((row, y) => {
+      for (let x = 0; x < row.length; x++) {
+        const color = spriteColor(s, row[x], colors);
+        if (!color) continue;
+        g.fillStyle = color;
+        g.fillRect(x * scale, y * scale, scale, scale);
+      }
+    });
+    spriteCanvases.set(key, c);
+    return c;
   }
 
-  function renderPortrait(obj) {
-    // Tiny pixel portrait in a div via CSS background gradient + emoji overlay
-    const p = document.getElementById('portrait');
-    const a = obj.spirit.colorA;
-    const b = obj.spirit.colorB;
-    p.style.background = `radial-gradient(circle at 35% 30%, ${a}55, rgba(255,255,255,.06)), radial-gradient(circle at 65% 70%, ${b}35, rgba(0,0,0,.0))`;
-    p.textContent = obj.spirit.emoji;
-    p.style.display = 'flex';
-    p.style.alignItems = 'center';
-    p.style.justifyContent = 'center';
-    p.style.fontSize = '26px';
-    p.style.userSelect = 'none';
+  // The frame an animation shows `t` seconds in
+  function spriteFrameAt(s, anim, t) {
+    const seq = s.animations?.[anim];
+    if (!seq) return 'idle';
+    const total = seq.reduce((sum, [, secs]) => sum + secs, 0);
+    let at = ((t % total) + total) % total;
+    for (const [frame, secs] of seq) {
+      if (at < secs) return frame;
+      at -= secs;
+    }
+    return seq[seq.length - 1][0];
   }
 
-  function showChoices(list) {
-    choicesEl.innerHTML = '';
-    list.forEach(c => {
-      const b = document.createElement('div');
-      b.className = 'choice';
-      b.textContent = c.label;
-      b.addEventListener('click', () => c.onPick());
-      choicesEl.appendChild(b);
-    });
+  // Draws a sprite with its art origin at x, y: a named `frame`, or `anim` at
+  // time `t`. `colors` fills the palette's "$name" slots.
+  function drawSprite(name, x, y, { frame = 'idle', anim, t = 0, colors } = {}) {
+    const s = spriteSheet.sprites[name];
+    if (!s) return;
+    const [ox, oy] = s.offset || [0, 0];
+    const shown = anim ? spriteFrameAt(s, anim, t) : frame;
+    ctx.drawImage(spriteCanvas(name, shown, colors), (x + ox)|0, (y + oy)|0);
   }
 
-  function startQuestIfAvailable(obj) {
-    // Only toaster/lamp/teacup have micro-quests right now
-    if (!obj.quest) return;
-
-    if (obj.id === 'toaster' && obj.quest.stage === 0) {
-      obj.quest.stage = 1;
-      toasterMiniGame(obj);
-    } else if (obj.id === 'lamp' && obj.quest.stage === 0) {
-      obj.quest.stage = 1;
-      lampMiniGame(obj);
-    } else if (obj.id === 'teacup' && obj.quest.stage === 0) {
-      obj.quest.stage = 1;
-      teacupMiniGame(obj);
-    } else if ((obj.id === 'book' || obj.id === 'plant') && obj.quest.stage === 0) {
-      // “Discover-only” spirits: grant fragment immediately as a gentle reward
-      obj.quest.stage = 2;
-      awardFragment(obj);
-      showChoices([{ label: "Leave them a quiet moment", onPick: () => closeDialogue() }]);
-    }
+  // ---------- Display Scaling ----------
+  // Everything draws into the W×H framebuffer above. The visible canvas is
+  // sized in device pixels and shows it at the largest whole-number scale that
+  // fits (nearest-neighbour), letterboxing the rest. Screens too small for 1×
+  // get a plain fit instead.
+  const LETTERBOX = '#0e1020';
+  const view = { scale: 1, ox: 0, oy: 0 }; // framebuffer placement, device px
+
+  function fitCanvas() {
+    const rect = canvas.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    const dw = Math.max(1, Math.round(rect.width * dpr));
+    const dh = Math.max(1, Math.round(rect.height * dpr));
+    if (canvas.width !== dw) canvas.width = dw;
+    if (canvas.height !== dh) canvas.height = dh;
+
+    const fit = Math.min(dw / W, dh / H);
+    view.scale = fit >= 1 ? Math.floor(fit) : fit;
+    view.ox = Math.floor((dw - W * view.scale) / 2);
+    view.oy = Math.floor((dh - H * view.scale) / 2);
+    present();
   }
 
-  // ---------- Mini Games ----------
-  function toasterMiniGame(obj) {
-    state.dialog.locked = true;
-    miniGameArea.classList.remove('hidden');
-    miniTitle.textContent = 'Toaster Courage';
-    miniBody.innerHTML = `
-      Bramble worries about burning bread. Set a gentle heat.
-      <div class="sliderRow">
-        <span>cool</span>
-        <input id="heatSlider" type="range" min="0" max="100" value="${Math.round(obj.quest.heat*100)}">
-        <span>hot</span>
-      </div>
-      <div class="gridBtns">
-        <button class="smallBtn" id="toastBtn">Toast</button>
-        <button class="smallBtn" id="resetBtn">Breathe</button>
-        <button class="smallBtn" id="peekBtn">Peek</button>
-      </div>
-      <div id="toastResult" style="margin-top:10px; opacity:.9;"></div>
-    `;
-
-    const heatSlider = miniBody.querySelector('#heatSlider');
-    const toastBtn = miniBody.querySelector('#toastBtn');
-    const resetBtn = miniBody.querySelector('#resetBtn');
-    const peekBtn = miniBody.querySelector('#peekBtn');
-    const toastResult = miniBody.querySelector('#toastResult');
-
-    const targetMin = 0.42;
-    const targetMax = 0.62;
-
-    const updateHeat = () => {
-      obj.quest.heat = clamp(Number(heatSlider.value) / 100, 0, 1);
-    };
+  // Copy the framebuffer onto the visible canvas
+  function present() {
+    screenCtx.imageSmoothingEnabled = view.scale < 1;
+    screenCtx.fillStyle = LETTERBOX;
+    screenCtx.fillRect(0, 0, canvas.width, canvas.height);
+    screenCtx.drawImage(frame.canvas, view.ox, view.oy, W * view.scale, H * view.scale);
+  }
 
-    heatSlider.addEventListener('input', () => {
-      updateHeat();
-      audio.beep(520 + obj.quest.heat*380, 0.03, 'sine', 0.015);
-    });
+  // CSS pixels per framebuffer pixel, and framebuffer -> CSS position
+  function cssPerPixel() {
+    return view.scale * (canvas.getBoundingClientRect().width / canvas.width || 1);
+  }
 
-    peekBtn.addEventListener('click', () => {
-      updateHeat();
-      const h = obj.quest.heat;
-      if (h < targetMin) toastResult.textContent = "It’s pale… like it never got a chance to be brave.";
-      else if (h > targetMax) toastResult.textContent = "It’s getting too intense. Bramble’s coils tense up.";
-      else toastResult.textContent = "That’s a cozy warmth. Golden edges. Gentle confidence.";
-      audio.beep(720, 0.04, 'triangle', 0.02);
-    });
+  function toCss(x, y) {
+    const k = canvas.getBoundingClientRect().width / canvas.width || 1;
+    return { x: (view.ox + x * view.scale) * k, y: (view.oy + y * view.scale) * k };
+  }
 
-    resetBtn.addEventListener('click', () => {
-      heatSlider.value = "50";
-      updateHeat();
-      toastResult.textContent = "You both take a slow breath. Crumbs settle like tiny snow.";
-      audio.beep(440, 0.05, 'sine', 0.02);
-    });
+  window.addEventListener('resize', fitCanvas);
+  window.addEventListener('orientationchange', fitCanvas);
+  if (window.ResizeObserver) new ResizeObserver(fitCanvas).observe(canvas);
 
-    toastBtn.addEventListener('click', () => {
-      updateHeat();
-      const h = obj.quest.heat;
-      let msg = "";
-      if (h < targetMin) {
-        msg = "The toast is underdone. Bramble whispers: “I can try again… gently.”";
-        audio.beep(300, 0.06, 'sine', 0.02);
-      } else if (h > targetMax) {
-        msg = "A harsh smell threatens. You stop in time. Bramble trembles—then calms.";
-        audio.beep(220, 0.07, 'sine', 0.02);
-      } else {
-        msg = "Perfect. Warm. Safe. Bramble’s fear softens into pride.";
-        completeQuest(obj);
-      }
-      toastResult.textContent = msg;
-    });
+  // ---------- Static Layers ----------
+  // The sky glow, the room's shell + props and the warm glaze / night shade only
+  // change with the room, the clock, warmth or layout, so they're baked into
+  // offscreen canvases.
+  let layoutVersion = 0; // bump whenever object bounds change
+  let layersKey = '';
 
-    showChoices([
-      { label: "Stay with Bramble", onPick: () => {} }
-    ]);
+  function makeLayer() {
+    const c = document.createElement('canvas');
+    c.width = W;
+    c.height = H;
+    return { canvas: c, ctx: c.getContext('2d') };
   }
+  const backgroundLayer = makeLayer();
+  const overlayLayer = makeLayer();
 
-  function lampMiniGame(obj) {
-    state.dialog.locked = true;
-    miniGameArea.classList.remove('hidden');
-    miniTitle.textContent = 'Lamp Practice';
-    miniBody.innerHTML = `
-      Luma gets stage fright. Help them “glow on cue” three times.
-      <div style="margin-top:10px; opacity:.95;">
-        When you feel ready, tap <b>Glow</b> when the little star feels steady.
-      </div>
-      <div class="gridBtns">
-        <button class="smallBtn" id="glowBtn">Glow</button>
-        <button class="smallBtn" id="focusBtn">Focus</button>
-        <button class="smallBtn" id="stopBtn">Rest</button>
-      </div>
-      <div id="lampResult" style="margin-top:10px; opacity:.9;"></div>
-    `;
-
-    const glowBtn = miniBody.querySelector('#glowBtn');
-    const focusBtn = miniBody.querySelector('#focusBtn');
-    const stopBtn = miniBody.querySelector('#stopBtn');
-    const lampResult = miniBody.querySelector('#lampResult');
-
-    let wobble = 0.0;      // 0..1
-    let steadyWindow = 0;  // frames
-
-    // Add a little “timing” feeling: focus reduces wobble
-    const tick = () => {
-      if (!state.dialog.open || currentObj?.id !== obj.id) return;
-      wobble = clamp(wobble + (Math.random()*0.08 - 0.03), 0, 1);
-      if (wobble < 0.28) steadyWindow++;
-      else steadyWindow = 0;
-      requestAnimationFrame(tick);
-    };
-    tick();
+  function drawInto(layer, fn) {
+    const prev = ctx;
+    ctx = layer.ctx;
+    ctx.clearRect(0, 0, W, H);
+    try { fn(); } finally { ctx = prev; }
+  }
 
-    focusBtn.addEventListener('click', () => {
-      wobble = clamp(wobble - 0.22, 0, 1);
-      lampResult.textContent = "You hold your attention softly. The light steadies.";
-      audio.beep(740, 0.05, 'triangle', 0.02);
+  function refreshStaticLayers() {
+    const key = `${state.scene}|${clockStep()}|${weatherKind()}|${warmthStep()}|${warmthStep(state.warmthPeak)}|${state.epilogue}|${layoutVersion}`;
+    if (key === layersKey) return;
+    layersKey = key;
+    roomLights = [];
+    roomWindows = [];
+    drawInto(backgroundLayer, () => {
+      drawBackgroundSky();
+      currentScene().draw();
     });
-
-    glowBtn.addEventListener('click', () => {
-      const good = (steadyWindow >= 10);
-      if (good) {
-        obj.quest.courage++;
-        lampResult.textContent = `A clean, confident glow! (${obj.quest.courage}/${obj.quest.target})`;
-        audio.beep(980, 0.06, 'triangle', 0.035);
-        audio.beep(1220, 0.05, 'sine', 0.02);
-        wobble = clamp(wobble + 0.15, 0, 1); // excitement wobble
-        if (obj.quest.courage >= obj.quest.target) completeQuest(obj);
-      } else {
-        lampResult.textContent = "A nervous flicker. That’s okay. Try again when it feels steady.";
-        audio.beep(360, 0.05, 'sine', 0.02);
-        wobble = clamp(wobble + 0.08, 0, 1);
-      }
+    drawInto(overlayLayer, () => {
+      drawNightShade();
+      drawWarmOverlay();
     });
+  }
 
-    stopBtn.addEventListener('click', () => {
-      lampResult.textContent = "You pause. Stage fright loosens when nobody rushes it.";
-      audio.beep(420, 0.05, 'sine', 0.02);
-    });
+  // ---------- Room Objects / Spirits ----------
+  // All object rects are in screen pixels.
+  // Each has a hidden spirit + quest state. Definitions are data (see the
+  // #spiritData block in index.html) and are filled in by loadSpirits().
+  let objects = [];
+
+  // Snapshot of every quest as authored, for "new game" and "start fresh"
+  const questDefaults = {};
 
-    showChoices([{ label: "Cheer for Luma", onPick: () => {} }]);
+  // ---------- Spirit Data ----------
+  // Definitions come from the inline #spiritData JSON block, or from the file
+  // named by its data-src attribute. They are validated before the room starts
+  // so writers get a readable list of problems instead of a broken room.
+  async function readSpiritData() {
+    const el = document.getElementById('spiritData');
+    if (!el) throw new Error('The page has no #spiritData block.');
+    return readJsonBlock(el);
   }
 
-  function teacupMiniGame(obj) {
-    state.dialog.locked = true;
-    miniGameArea.classList.remove('hidden');
-    miniTitle.textContent = 'A Less-Lonely Shelf';
-    miniBody.innerHTML = `
-      Mallow feels lonely. Place two tiny “comforts” on the shelf.
-      <div style="margin-top:10px; opacity:.95;">
-        Choose gentle companions: a sugar cube, a spoon, or a cookie.
-      </div>
-      <div class="gridBtns">
-        <button class="smallBtn" id="placeSugar">Sugar</button>
-        <button class="smallBtn" id="placeSpoon">Spoon</button>
-        <button class="smallBtn" id="placeCookie">Cookie</button>
-      </div>
-      <div id="teaResult" style="margin-top:10px; opacity:.9;"></div>
-    `;
-
-    const teaResult = miniBody.querySelector('#teaResult');
-    const place = (what) => {
-      obj.quest.friendsPlaced++;
-      audio.beep(760, 0.05, 'triangle', 0.025);
-      teaResult.textContent = `${what} placed. The shelf feels a little kinder. (${obj.quest.friendsPlaced}/${obj.quest.needs})`;
-      if (obj.quest.friendsPlaced >= obj.quest.needs) completeQuest(obj);
-    };
+  // Inline JSON from a <script type="application/json">, or the file it names
+  async function readJsonBlock(el) {
+    const src = el.dataset.src;
+    let text = el.textContent;
+    if (src) {
+      let res;
+      try { res = await fetch(src); } catch { throw new Error(`Could not load “${src}”.`); }
+      if (!res.ok) throw new Error(`Could not load “${src}” (HTTP ${res.status}).`);
+      text = await res.text();
+    }
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      throw new Error(`${src || '#' + el.id} is not valid JSON: ${err.message}`);
+    }
+  }
 
-    miniBody.querySelector('#placeSugar').addEventListener('click', () => place('A sugar cube'));
-    miniBody.querySelector('#placeSpoon').addEventListener('click', () => place('A spoon'));
-    miniBody.querySelector('#placeCookie').addEventListener('click', () => place('A cookie'));
+  function validateSpiritData(data) {
+    const list = Array.isArray(data?.spirits) ? data.spirits : null;
+    if (!list) return ['Expected an object with a "spirits" array.'];
 
-    showChoices([{ label: "Sit with Mallow", onPick: () => {} }]);
-  }
+    const errors = [];
+    const shared = { start: null, nodes: {}, ...data.sharedDialogue };
+    if (!shared.nodes || typeof shared.nodes !== 'object') errors.push('"sharedDialogue.nodes" must be an object.');
+    if (!list.length) errors.push('"spirits" is empty — the room needs at least one spirit.');
 
-  function completeQuest(obj) {
-    obj.quest.stage = 2;
-    state.dialog.locked = false;
-    miniGameArea.classList.add('hidden');
+    const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+    const isStr = (v) => typeof v === 'string' && v.trim() !== '';
+    const ids = new Map();       // id -> first index
+    const fragments = new Map(); // fragmentIndex -> id that claimed it
 
-    awardFragment(obj);
+    list.forEach((def, i) => {
+      const label = isStr(def?.id) ? `spirits[${i}] “${def.id}”` : `spirits[${i}]`;
+      const err = (msg) => errors.push(`${label}: ${msg}`);
+      if (!def || typeof def !== 'object') return err('must be an object.');
+
+      if (!isStr(def.id)) err('missing "id".');
+      else if (ids.has(def.id)) err(`duplicate id (also spirits[${ids.get(def.id)}]).`);
+      else ids.set(def.id, i);
+
+      if (!isStr(def.name)) err('missing "name".');
+      if (def.scene != null && !scenes[def.scene]) err(`unknown scene “${def.scene}” (known: ${Object.keys(scenes).join(', ')}).`);
+      if (def.hint != null && !isStr(def.hint)) err('"hint" must be a string.');
+      if (def.doneHint != null && !isStr(def.doneHint)) err('"doneHint" must be a string.');
+      if (def.z != null && !isNum(def.z)) err('"z" must be a number.');
+      checkHit(def.hit, isStr(def.id) ? def.id : '', err);
+
+      const b = def.bounds;
+      if (!b || typeof b !== 'object') err('missing "bounds" ({ x, y, w, h }).');
+      else if (!['x', 'y', 'w', 'h'].every(k => isNum(b[k]))) err('"bounds" needs numeric x, y, w and h.');
+      else if (b.w <= 0 || b.h <= 0) err('"bounds" w and h must be positive.');
+      else if (b.x < 0 || b.y < 0 || b.x + b.w > W || b.y + b.h > H) err(`"bounds" falls outside the ${W}×${H} room.`);
 
-    // Post-quest line + exit choice
-    queuedLines = [];
-    queuedLines.push(...obj.script.after);
-    setDialogueText(nextLine());
-    showChoices([
-      { label: "Thank them", onPick: () => {
-          if (queuedLines.length) {
-            setDialogueText(nextLine());
-            audio.beep(680, 0.05, 'sine', 0.02);
+      const sp = def.spirit;
+      if (!sp || typeof sp !== 'object') {
+        err('missing "spirit".');
+      } else {
+        if (!isStr(sp.colorA) || !isStr(sp.colorB)) err('"spirit" needs colorA and colorB.');
+        if (sp.memory != null && !isStr(sp.memory)) err('"spirit.memory" must be a string.');
+        if (sp.mood != null && !MOODS.includes(sp.mood)) err(`"spirit.mood" must be one of ${MOODS.join(', ')}.`);
+        if (sp.awake != null && !(Array.isArray(sp.awake) && sp.awake.length && sp.awake.every(p => PERIOD_NAMES.includes(p)))) {
+          err(`"spirit.awake" must be a list of times of day (${PERIOD_NAMES.join(', ')}).`);
+        }
+        if (sp.sleepHint != null && !isStr(sp.sleepHint)) err('"spirit.sleepHint" must be a string.');
+        if (sp.motif != null && !(Array.isArray(sp.motif) && sp.motif.length && sp.motif.length <= 8 && sp.motif.every(Number.isInteger))) {
+          err('"spirit.motif" must be a list of up to 8 whole-number scale steps.');
+        }
+        const idx = sp.fragmentIndex;
+        if (idx != null) {
+          if (!Number.isInteger(idx) || idx < 0 || idx >= FRAG_SLOTS) {
+            err(`"spirit.fragmentIndex" must be a whole number from 0 to ${FRAG_SLOTS - 1}.`);
+          } else if (fragments.has(idx)) {
+            err(`duplicate fragmentIndex ${idx} (already used by “${fragments.get(idx)}”).`);
           } else {
-            closeDialogue();
+            fragments.set(idx, def.id);
           }
         }
-      },
-      { label: "Leave quietly", onPick: () => closeDialogue() }
-    ]);
-  }
+      }
 
-  // Continue button behavior
-  btnContinue.addEventListener('click', () => {
-    if (!state.dialog.open || !currentObj) return;
+      const q = def.quest;
+      if (q != null) {
+        if (typeof q !== 'object' || Array.isArray(q)) err('"quest" must be an object.');
+        else if (q.game != null && !miniGames[q.game]) err(`unknown quest type “${q.game}” (known: ${Object.keys(miniGames).join(', ')}).`);
+        else if ('status' in q) err('"quest.status" is saved progress; leave it out of definitions.');
+      }
 
-    // If mini game is active/locked, Continue does nothing (keeps it slow and focused)
-    if (state.dialog.locked) {
-      audio.beep(300, 0.03, 'sine', 0.01);
-      return;
+      const dlg = def.dialogue;
+      if (!dlg || typeof dlg !== 'object' || !dlg.nodes || typeof dlg.nodes !== 'object') {
+        err('missing "dialogue" with "nodes".');
+      } else {
+        validateDialogue(dlg, shared, err);
+      }
+    });
+    if (data.story != null) validateStory(data.story, (msg) => errors.push(`story: ${msg}`));
+    return errors;
+  }
+
+  // "story": { chapters: [{ at, title, text }], ending: { lines, credits, after? } }
+  function validateStory(story, err) {
+    const isStr = (v) => typeof v === 'string' && v.trim() !== '';
+    if (typeof story !== 'object') return err('must be an object.');
+    const chapters = story.chapters;
+    if (!Array.isArray(chapters) || !chapters.length) {
+      err('"chapters" must be a non-empty list.');
+    } else {
+      if (chapters[0]?.at !== 0) err('the first chapter must be at 0 fragments.');
+      chapters.forEach((c, i) => {
+        if (!c || !Number.isInteger(c.at) || c.at < 0 || c.at > FRAG_SLOTS) {
+          return err(`chapters[${i}]: "at" must be a whole number from 0 to ${FRAG_SLOTS}.`);
+        }
+        if (i > 0 && c.at <= chapters[i - 1]?.at) err(`chapters[${i}]: "at" must be higher than the chapter before.`);
+        if (!isStr(c.title) || !isStr(c.text)) err(`chapters[${i}]: needs "title" and "text".`);
+      });
     }
+    const end = story.ending;
+    if (!end || typeof end !== 'object') return err('missing "ending".');
+    if (!Array.isArray(end.lines) || !end.lines.length || !end.lines.every(isStr)) err('"ending.lines" must be a list of strings.');
+    if (!Array.isArray(end.credits) || !end.credits.every(l => typeof l === 'string')) err('"ending.credits" must be a list of strings.');
+    if (end.after != null && !isStr(end.after)) err('"ending.after" must be a string.');
+  }
 
-    const line = nextLine();
-    if (line) {
-      setDialogueText(line);
-      audio.beep(620, 0.04, 'sine', 0.02);
+  // "hit" is "box", "mask" (needs registered art) or { polygon: [[x, y], …] }
+  function checkHit(hit, id, err) {
+    if (hit == null || hit === 'box') return;
+    if (hit === 'mask') {
+      if (!spiritArt[id]) err(`"hit": "mask" needs drawn art, and there is none for “${id}”.`);
       return;
     }
-
-    // When script ends, offer quest start or gentle exit
-    const isComplete = (currentObj.quest?.stage === 2);
-    if (!isComplete) {
-      showChoices([
-        { label: "Help them with a tiny problem", onPick: () => startQuestIfAvailable(currentObj) },
-        { label: "Just keep them company", onPick: () => {
-            setDialogueText("You stay for a moment. The room doesn’t ask anything more from you.");
-            showChoices([{ label: "Okay", onPick: () => closeDialogue() }]);
-            audio.beep(520, 0.05, 'sine', 0.02);
-          }
-        },
-        { label: "Back away gently", onPick: () => closeDialogue() }
-      ]);
-      btnContinue.textContent = '…';
-    } else {
-      closeDialogue();
+    const pts = hit?.polygon;
+    const isPoint = (p) => Array.isArray(p) && p.length === 2 && p.every(n => typeof n === 'number' && Number.isFinite(n));
+    if (!Array.isArray(pts) || pts.length < 3 || !pts.every(isPoint)) {
+      err('"hit" must be "box", "mask" or { "polygon": [[x, y], …] } with at least 3 points.');
     }
-  });
+  }
 
-  btnCloseDialogue.addEventListener('click', closeDialogue);
+  // Checks one spirit's graph (merged with the shared nodes) for broken links,
+  // unknown conditions/effects and malformed lines or choices.
+  function validateDialogue(dlg, shared, err) {
+    const nodes = { ...shared.nodes, ...dlg.nodes };
+    const statuses = Object.values(QuestStatus);
+    const isStr = (v) => typeof v === 'string' && v.trim() !== '';
 
-  // Close on Esc
-  window.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape') closeDialogue();
-    if (e.key.toLowerCase() === 'm') audio.toggleMute();
-  });
+    const checkIf = (cond, where) => {
+      if (cond == null) return;
+      if (typeof cond !== 'object' || Array.isArray(cond)) return err(`${where}: "if" must be an object.`);
+      Object.entries(cond).forEach(([key, v]) => {
+        if (!dialogueConditions[key]) err(`${where}: unknown condition “${key}”.`);
+        else if (key === 'quest' && ![].concat(v).every(st => statuses.includes(st))) {
+          err(`${where}: quest status must be one of ${statuses.join(', ')}.`);
+        } else if (key === 'time' && ![].concat(v).every(p => PERIOD_NAMES.includes(p))) {
+          err(`${where}: time must be one of ${PERIOD_NAMES.join(', ')}.`);
+        } else if (key === 'weather' && ![].concat(v).every(k => WEATHER_KINDS.includes(k))) {
+          err(`${where}: weather must be one of ${WEATHER_KINDS.join(', ')}.`);
+        } else if (key === 'flash' && typeof v !== 'boolean') {
+          err(`${where}: flash must be true or false.`);
+        } else if (key === 'mood' && ![].concat(v).every(m => MOODS.includes(m))) {
+          err(`${where}: mood must be one of ${MOODS.join(', ')}.`);
+        }
+      });
+    };
+    const checkDo = (list, where) => {
+      [].concat(list || []).forEach(e => {
+        const [name] = effectEntry(e);
+        if (!dialogueEffects[name]) err(`${where}: unknown effect “${name}”.`);
+      });
+    };
+    const checkMarkup = (text, where) => {
+      for (const [, tag] of text.matchAll(/\{\/?(\w+)\}/g)) {
+        if (tag !== 'progress' && !MARKUP_TAGS.includes(tag)) err(`${where}: unknown markup {${tag}}.`);
+      }
+      if ((text.match(/\*/g) || []).length % 2) err(`${where}: an *emphasis* is never closed.`);
+    };
+    const checkFace = (face, where) => {
+      if (face != null && !FACES.includes(face)) err(`${where}: "face" must be one of ${FACES.join(', ')}.`);
+    };
+    const checkGoto = (target, where) => {
+      if (target == null) return;
+      const list = typeof target === 'string' ? [{ goto: target }] : target;
+      if (!Array.isArray(list)) return err(`${where}: must be a node id or a list of { if, goto }.`);
+      list.forEach((t, i) => {
+        if (!nodes[t?.goto]) err(`${where}: no node called “${t?.goto}”.`);
+        if (typeof target !== 'string') checkIf(t?.if, `${where}[${i}]`);
+      });
+    };
 
-  // ---------- Pointer Handling ----------
-  function canvasPos(evt) {
-    const rect = canvas.getBoundingClientRect();
-    const x = (evt.clientX - rect.left) * (canvas.width / rect.width);
-    const y = (evt.clientY - rect.top) * (canvas.height / rect.height);
-    return { x, y };
+    const start = dlg.start ?? shared.start;
+    if (start == null) err('dialogue has no "start".');
+    checkGoto(start, 'dialogue.start');
+    if (!nodes.after) err('dialogue needs an "after" node (shown once the quest is complete).');
+
+    Object.entries(nodes).forEach(([id, node]) => {
+      const where = `dialogue node “${id}”`;
+      if (!node || typeof node !== 'object') return err(`${where} must be an object.`);
+      checkFace(node.face, where);
+      (node.lines || []).forEach((l, i) => {
+        if (typeof l === 'string') return checkMarkup(l, `${where} line ${i}`);
+        if (!isStr(l?.text)) err(`${where}: line ${i} needs "text".`);
+        else {
+          checkIf(l.if, `${where} line ${i}`);
+          checkMarkup(l.text, `${where} line ${i}`);
+        }
+        checkFace(l?.face, `${where} line ${i}`);
+      });
+      checkDo(node.do, where);
+      checkGoto(node.next, `${where} "next"`);
+      if (node.choices != null && !Array.isArray(node.choices)) err(`${where}: "choices" must be a list.`);
+      (node.choices || []).forEach((c, i) => {
+        const cw = `${where} choice ${i}`;
+        if (!isStr(c?.label)) err(`${cw}: missing "label".`);
+        checkIf(c?.if, cw);
+        checkDo(c?.do, cw);
+        checkGoto(c?.goto, cw);
+      });
+    });
   }
 
-  function onPointerMove(evt) {
-    const p = canvasPos(evt);
-    state.pointer.x = p.x;
-    state.pointer.y = p.y;
+  function setObjects(list) {
+    objects = list.map(def => {
+      const obj = JSON.parse(JSON.stringify(def));
+      obj.hint = obj.hint || '';
+      obj.scene = obj.scene || 'living';
+      obj.quest = { ...obj.quest, status: QuestStatus.NOT_STARTED };
+      questDefaults[obj.id] = { ...obj.quest };
+      return obj;
+    });
+    layoutVersion++;
   }
 
-  function onPointerDown(evt) {
-    const p = canvasPos(evt);
-    state.pointer.x = p.x;
-    state.pointer.y = p.y;
-    state.pointer.down = true;
-    state.pointer.justDown = true;
+  // Resolves to a list of problems; empty means `objects` is ready
+  async function loadSpirits() {
+    let data;
+    try {
+      data = await readSpiritData();
+    } catch (err) {
+      return [err.message];
+    }
+    const errors = validateSpiritData(data);
+    if (errors.length) return errors;
+    sharedDialogue = { start: null, nodes: {}, ...data.sharedDialogue };
+    if (data.story) story = data.story;
+    setObjects(data.spirits);
+    return loadLayout();
   }
 
-  function onPointerUp() {
-    state.pointer.down = false;
+  // ---------- Layout Data ----------
+  // An optional #layoutData block (what the layout editor exports) moves props
+  // and spirit bounds: { "props": { id: { x, y, w?, h? } }, "bounds": { id: { x, y, w, h } } }
+  async function loadLayout() {
+    const el = document.getElementById('layoutData');
+    if (!el || (!el.dataset.src && !el.textContent.trim())) return [];
+    let layout;
+    try {
+      layout = await readJsonBlock(el);
+    } catch (err) {
+      return [err.message];
+    }
+    const errors = validateLayout(layout);
+    if (!errors.length) applyLayout(layout);
+    return errors;
   }
 
-  canvas.addEventListener('mousemove', onPointerMove);
-  canvas.addEventListener('mousedown', onPointerDown);
-  window.addEventListener('mouseup', onPointerUp);
+  function validateLayout(layout) {
+    const errors = [];
+    const err = (msg) => errors.push(`layout ${msg}`);
+    const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+    if (!layout || typeof layout !== 'object') return ['layout: expected an object with "props" and/or "bounds".'];
 
-  // Touch
-  canvas.addEventListener('touchstart', (e) => {
-    e.preventDefault();
-    onPointerDown(e.touches[0]);
-  }, { passive: false });
-  canvas.addEventListener('touchmove', (e) => {
-    e.preventDefault();
-    onPointerMove(e.touches[0]);
-  }, { passive: false });
-  canvas.addEventListener('touchend', (e) => {
-    e.preventDefault();
-    onPointerUp();
-  }, { passive: false });
+    const checkRect = (r, where, size) => {
+      if (!r || !isNum(r.x) || !isNum(r.y)) return err(`${where}: needs numeric x and y.`);
+      const w = r.w ?? size.w;
+      const h = r.h ?? size.h;
+      if (!isNum(w) || !isNum(h) || w <= 0 || h <= 0) return err(`${where}: w and h must be positive numbers.`);
+      if (r.x < 0 || r.y < 0 || r.x + w > W || r.y + h > H) err(`${where}: falls outside the ${W}×${H} room.`);
+    };
 
-  // ---------- Scene: Pixel Room ----------
-  function drawBackgroundSky() {
-    // sky already in canvas bg; add a sun-ish glow
-    softGlow(120, 90, 180, 'rgba(255,240,200,1)', 0.12);
+    Object.entries(layout.props || {}).forEach(([id, r]) => {
+      if (!props[id]) err(`props.${id}: no such prop (known: ${Object.keys(props).join(', ')}).`);
+      else checkRect(r, `props.${id}`, props[id]);
+    });
+    Object.entries(layout.bounds || {}).forEach(([id, r]) => {
+      if (!objects.some(o => o.id === id)) err(`bounds.${id}: no spirit has that id.`);
+      else checkRect(r, `bounds.${id}`, {});
+    });
+    return errors;
   }
 
-  function drawRoomShell() {
-    // Floor / ground
-    pxRect(0, 420, W, 120, '#2a1c12');
-    // Dirt edge
-    for (let x = 0; x < W; x += 18) {
-      pxRect(x, 420, 9, 6, '#1f140d');
-    }
+  function applyLayout(layout) {
+    Object.entries(layout.props || {}).forEach(([id, r]) => {
+      const p = props[id];
+      p.x = r.x;
+      p.y = r.y;
+      if (p.resizable) {
+        p.w = r.w ?? p.w;
+        p.h = r.h ?? p.h;
+      }
+    });
+    Object.entries(layout.bounds || {}).forEach(([id, r]) => {
+      objects.find(o => o.id === id).bounds = { x: r.x, y: r.y, w: r.w, h: r.h };
+    });
+    layoutVersion++;
+  }
 
-    // Wooden house box
-    const house = { x: 110, y: 90, w: 740, h: 350 };
-    pxRect(house.x, house.y, house.w, house.h, '#3a2618'); // wood mid
+  function currentLayout() {
+    const layout = { props: {}, bounds: {} };
+    Object.entries(props).forEach(([id, p]) => {
+      layout.props[id] = p.resizable ? { x: p.x, y: p.y, w: p.w, h: p.h } : { x: p.x, y: p.y };
+    });
+    objects.forEach(o => { layout.bounds[o.id] = { ...o.bounds }; });
+    return layout;
+  }
 
-    // Inner walls (lighter)
-    pxRect(house.x + 18, house.y + 18, house.w - 36, house.h - 36, '#4e3322');
+  function showDataErrors(errors) {
+    dataErrorList.innerHTML = '';
+    errors.forEach(msg => {
+      const li = document.createElement('li');
+      li.textContent = msg;
+      dataErrorList.appendChild(li);
+    });
+    dataErrors.classList.remove('hidden');
+    inventoryPanel.classList.add('hidden');
+    tapHint.style.display = 'none';
+  }
 
-    // Roof / top trim (stone-ish)
-    pxRect(house.x, house.y - 18, house.w, 18, '#2b2f3d');
-    pxRect(house.x, house.y - 9, house.w, 9, '#3a3f52');
+  // ---------- UI: Fragments ----------
+  // Found fragments are buttons that show the memory they hold (the owning
+  // spirit's `spirit.memory`). Below the grid, `story.chapters` from
+  // #spiritData open as fragments are found and can be paged back through.
+  let story = { chapters: [], ending: null };
+  let chapterShown = null; // index into the open chapters; null follows the latest
+  let memoryShown = null;  // fragment index being read
 
-    // Split floor
-    pxRect(house.x + 18, house.y + 170, house.w - 36, 10, '#2a1c12');
-    pxRect(house.x + 18, house.y + 180, house.w - 36, 6, '#1f140d');
+  const fragmentOwner = (idx) => objects.find(o => o.spirit.fragmentIndex === idx) || null;
+  const openChapters = () => story.chapters.filter(c => fragmentCount() >= c.at);
 
-    // Vertical support beams
-    for (let i = 0; i < 6; i++) {
+  function renderFragmentsUI() {
+    fragmentsGrid.innerHTML = '';
+    const found = fragmentCount();
+    fragmentsCountEl.textContent = String(found);
+
+    for (let i = 0; i < FRAG_SLOTS; i++) {
+      const d = document.createElement('button');
+      d.className = 'frag' + (state.fragments[i] ? ' found' : '');
+      d.textContent = state.fragments[i] ? '✶' : '·';
+      if (state.fragments[i]) {
+        d.setAttribute('aria-label', `Memory from ${fragmentOwner(i)?.name || 'somewhere in the house'}`);
+        d.setAttribute('aria-pressed', String(memoryShown === i));
+        d.addEventListener('click', () => inspectFragment(i));
+      } else {
+        d.disabled = true;
+        d.setAttribute('aria-label', 'Not found yet');
+      }
+      fragmentsGrid.appendChild(d);
+    }
+
+    if (memoryShown != null && !state.fragments[memoryShown]) memoryShown = null;
+    renderMemory();
+    renderChapter();
+    renderWarmth();
+    btnReplayEnding.classList.toggle('hidden', !state.epilogue);
+  }
+
+  // Clicking a fragment again puts its memory away
+  function inspectFragment(idx) {
+    memoryShown = memoryShown === idx ? null : idx;
+    fragmentsGrid.querySelectorAll('.frag.found').forEach(b => {
+      b.setAttribute('aria-pressed', String(b === fragmentsGrid.children[memoryShown]));
+    });
+    renderMemory();
+    audio.beep(memoryShown == null ? 520 : 780, 0.05, 'sine', 0.025);
+  }
+
+  function renderMemory() {
+    const owner = memoryShown == null ? null : fragmentOwner(memoryShown);
+    memoryNote.classList.toggle('hidden', !owner);
+    if (!owner) return;
+    const who = document.createElement('strong');
+    who.textContent = `${owner.name} remembers…`;
+    memoryNote.replaceChildren(who, ' ', owner.spirit.memory || 'Something warm, too small for words.');
+  }
+
+  function renderChapter() {
+    // Room data without a story keeps the panel's welcome text and no pager
+    storyHeader.classList.toggle('hidden', !story.chapters.length);
+    if (!story.chapters.length) return;
+    const open = openChapters();
+    const next = story.chapters[open.length];
+    chapterTag.textContent = next ? `Next chapter at ${next.at} fragments` : 'Every chapter found';
+    if (!open.length) return;
+    const i = chapterShown == null ? open.length - 1 : Math.min(chapterShown, open.length - 1);
+    chapterTitle.textContent = `Chapter ${i + 1} · ${open[i].title}`;
+    storyNote.textContent = open[i].text;
+    btnChapterPrev.disabled = i === 0;
+    btnChapterNext.disabled = i === open.length - 1;
+  }
+
+  function pageChapter(dir) {
+    const open = openChapters();
+    const i = (chapterShown ?? open.length - 1) + dir;
+    if (i < 0 || i >= open.length) return;
+    chapterShown = i === open.length - 1 ? null : i;
+    renderChapter();
+    audio.beep(600, 0.04, 'sine', 0.02);
+  }
+
+  btnChapterPrev.addEventListener('click', () => pageChapter(-1));
+  btnChapterNext.addEventListener('click', () => pageChapter(1));
+
+  function awardFragment(obj) {
+    const idx = obj.spirit.fragmentIndex;
+    if (idx == null) return;
+    if (!state.fragments[idx]) {
+      const chaptersBefore = openChapters().length;
+      state.fragments[idx] = true;
+      const chapters = openChapters();
+      if (chapters.length > chaptersBefore) {
+        chapterShown = null;
+        showToast(`New chapter: ${chapters[chapters.length - 1].title}`);
+      }
+      announce(`Memory fragment found: ${fragmentCount()} of ${FRAG_SLOTS}.`);
+      setWarmth(state.warmth + WARMTH_PER_FRAGMENT);
+      renderFragmentsUI();
+      saveGame();
+      audio.beep(880, 0.07, 'triangle', 0.04);
+      audio.beep(1120, 0.05, 'sine', 0.03);
+    }
+  }
+
+  // ---------- Warmth ----------
+  // Warmth is the room's progress meter. Each fragment raises how warm the
+  // room can get (its cap) and warms it by the same step. Left alone, the
+  // room cools toward half its cap; visiting spirits you've helped warms it
+  // back up. Sconces, windows and wandering spirits follow the current
+  // warmth, while rooms and decor open at the warmest it has ever been.
+  const WARMTH_PER_FRAGMENT = 1 / FRAG_SLOTS;
+  const NEGLECT_GRACE = 90;      // seconds without a visit before the room cools
+  const NEGLECT_RATE = 1 / 1500; // warmth lost per second after that
+  const AWAY_RATE = 0.02;        // warmth lost per hour between sessions
+  const COOL_FLOOR = 0.5;        // share of the cap that never fades
+  const VISIT_WARMTH = 0.04;     // visiting a spirit you've helped
+  const WARMTH_STAGES = [
+    { at: 0, name: 'Chilly' },
+    { at: 0.15, name: 'Thawing', text: 'The room is thawing. Another sconce flickers on.' },
+    { at: 0.35, name: 'Cozy', text: 'The room feels cozy. The windows glow a little brighter.' },
+    { at: 0.55, name: 'Toasty', text: 'The room feels toasty. Little spirits drift out to share it.' },
+    { at: 0.8, name: 'Glowing', text: 'Every lamp is lit. The whole house is glowing.' },
+  ];
+  const COOLING_TEXT = 'The room is cooling. Someone would love a visit.';
+
+  const warmthCap = (found = fragmentCount()) => Math.min(1, found * WARMTH_PER_FRAGMENT);
+  const warmthStage = (w = state.warmth) => WARMTH_STAGES.reduce((n, s, i) => (w >= s.at ? i : n), 0);
+  // Warmth in 5% steps for the cached layers, so cooling doesn't rebake every frame
+  const warmthStep = (w = state.warmth) => Math.floor(w * 20) / 20;
+
+  // Any rise in the peak can open a room, whether from a fragment or a visit
+  function setWarmth(value) {
+    const before = warmthStage();
+    const lockedBefore = Object.keys(scenes).filter(id => !isSceneUnlocked(id));
+    state.warmth = Math.round(clamp(value, 0, warmthCap()) * 1e6) / 1e6;
+    state.warmthPeak = Math.max(state.warmthPeak, state.warmth);
+    const stage = warmthStage();
+    if (stage > before) {
+      showToast(WARMTH_STAGES[stage].text);
+      announce(WARMTH_STAGES[stage].text);
+      audio.beep(660, 0.06, 'triangle', 0.03);
+      audio.beep(990, 0.08, 'sine', 0.025);
+    } else if (stage < before) {
+      showToast(COOLING_TEXT);
+      announce(COOLING_TEXT);
+      audio.beep(330, 0.1, 'sine', 0.02);
+    }
+    lockedBefore.filter(isSceneUnlocked).forEach(id => {
+      showToast(scenes[id].unlockText);
+      announce(scenes[id].unlockText);
+    });
+    renderWarmth();
+  }
+
+  // Opening a dialogue counts as a visit; friends you've helped warm the room
+  function tendSpirit(obj) {
+    state.lastCare = state.time;
+    if (isQuestComplete(obj)) setWarmth(state.warmth + VISIT_WARMTH);
+  }
+
+  function updateWarmth(dt) {
+    if (session.slot == null || editor.on || state.epilogue) return;
+    if (state.dialog.open) state.lastCare = state.time;
+    if (state.time - state.lastCare < NEGLECT_GRACE) return;
+    const floor = warmthCap() * COOL_FLOOR;
+    if (state.warmth <= floor) return;
+    const step = warmthStep();
+    setWarmth(Math.max(floor, state.warmth - NEGLECT_RATE * dt));
+    if (warmthStep() !== step) saveGame();
+  }
+
+  // The warmth a save loads with: capped by its fragments, then cooled for
+  // the hours since it was saved (the title screen shows the same figure)
+  function savedWarmth(save) {
+    const cap = warmthCap((save.fragments || []).filter(Boolean).length);
+    const warmth = clamp(Number(save.warmth) || 0, 0, cap);
+    const hours = (Date.now() - Number(save.savedAt)) / 3600000;
+    const floor = cap * COOL_FLOOR;
+    if (!(hours > 0) || warmth <= floor) return warmth;
+    return Math.max(floor, warmth - hours * AWAY_RATE);
+  }
+
+  let warmthShown = '';
+  function renderWarmth() {
+    const pct = Math.round(state.warmth * 100);
+    const cap = Math.round(warmthCap() * 100);
+    const stage = WARMTH_STAGES[warmthStage()];
+    const key = `${pct}|${cap}|${stage.name}`;
+    if (key === warmthShown) return;
+    warmthShown = key;
+    warmthFill.style.width = `${pct}%`;
+    warmthCapEl.style.width = `${cap}%`;
+    warmthValue.textContent = stage.name;
+    warmthGauge.setAttribute('aria-valuenow', String(pct));
+    warmthGauge.setAttribute('aria-valuetext', `${stage.name}, ${pct}%`);
+  }
+
+  // Notches on the gauge where each stage begins
+  WARMTH_STAGES.slice(1).forEach(s => {
+    const mark = document.createElement('span');
+    mark.className = 'gaugeMark';
+    mark.style.left = `${s.at * 100}%`;
+    warmthGauge.appendChild(mark);
+  });
+
+  // ---------- Clock ----------
+  // An in-game clock (state.clock, in hours) runs a whole day every
+  // DAY_LENGTH seconds of play, or follows the local time when the "real
+  // clock" setting is on. The sky, window glass and night shade blend between
+  // SKY_KEYS; spirits with `spirit.awake` (a list of periods) sleep otherwise.
+  const DAY_LENGTH = 20 * 60; // seconds of play per in-game day
+  const CLOCK_STEP = 0.25;    // hours; the cached layers redraw this often
+  const START_HOUR = 9;
+  const PERIODS = [['night', 0], ['dawn', 5], ['day', 8], ['dusk', 17], ['night', 20.5]];
+  const PERIOD_NAMES = ['dawn', 'day', 'dusk', 'night'];
+  const PERIOD_TEXT = {
+    dawn: 'The sky pinks up. Morning is on its way.',
+    day: 'Full daylight pours through the windows.',
+    dusk: 'The light goes gold and slow. Evening is here.',
+    night: 'Night settles in. The lamps carry the room now.',
+  };
+  const NIGHT_SKY = ['#0b1030', '#101640', '#161c4a', '#23264a'];
+  const DAY_SKY = ['#83b3ff', '#7aa0ff', '#6c79db', '#4a4c7a'];
+  const SKY_KEYS = [
+    { at: 0, sky: NIGHT_SKY, glass: '#1b2650', shine: '#25336a', dark: 1 },
+    { at: 5, sky: NIGHT_SKY, glass: '#1b2650', shine: '#25336a', dark: 1 },
+    { at: 6.5, sky: ['#6d78c8', '#a58bc0', '#e0a0a8', '#f3c49a'], glass: '#e8a98f', shine: '#f6c9a8', dark: 0.4 },
+    { at: 9, sky: DAY_SKY, glass: '#5fa3ff', shine: '#83b3ff', dark: 0 },
+    { at: 16, sky: DAY_SKY, glass: '#5fa3ff', shine: '#83b3ff', dark: 0 },
+    { at: 18.5, sky: ['#3e4290', '#7a5a9a', '#c8708a', '#f0a070'], glass: '#d98a6a', shine: '#f0b48a', dark: 0.5 },
+    { at: 20.5, sky: NIGHT_SKY, glass: '#1b2650', shine: '#25336a', dark: 1 },
+    { at: 24, sky: NIGHT_SKY, glass: '#1b2650', shine: '#25336a', dark: 1 },
+  ];
+
+  const timeOfDay = (h = state.clock) => PERIODS.reduce((p, [id, from]) => (h >= from ? id : p), 'night');
+  const clockStep = () => Math.floor(state.clock / CLOCK_STEP) * CLOCK_STEP;
+  const isAwake = (obj) => !obj.spirit.awake || obj.spirit.awake.includes(timeOfDay());
+  const sleepHint = (obj) => obj.spirit.sleepHint || 'Fast asleep. Come back at another time of day.';
+
+  function realHour() {
+    const d = new Date();
+    return d.getHours() + d.getMinutes() / 60;
+  }
+
+  function mixColor(a, b, t) {
+    const ca = parseInt(a.slice(1), 16);
+    const cb = parseInt(b.slice(1), 16);
+    const ch = (shift) => Math.round(((ca >> shift) & 255) * (1 - t) + ((cb >> shift) & 255) * t);
+    return `rgb(${ch(16)},${ch(8)},${ch(0)})`;
+  }
+
+  // Sky colours for the current clock step (what the cached layers show)
+  let skyCache = { at: null, sky: null };
+  function skyNow() {
+    const h = clockStep();
+    if (skyCache.at === h) return skyCache.sky;
+    const i = SKY_KEYS.findIndex(k => k.at > h);
+    const a = SKY_KEYS[i - 1];
+    const b = SKY_KEYS[i];
+    const t = (h - a.at) / (b.at - a.at);
+    const sky = {
+      sky: a.sky.map((c, n) => mixColor(c, b.sky[n], t)),
+      glass: mixColor(a.glass, b.glass, t),
+      shine: mixColor(a.shine, b.shine, t),
+      dark: a.dark + (b.dark - a.dark) * t,
+    };
+    skyCache = { at: h, sky };
+    return sky;
+  }
+
+  function updateClock(dt) {
+    if (session.slot == null || editor.on) return;
+    const before = timeOfDay();
+    state.clock = settings.realClock ? realHour() : (state.clock + dt * 24 / DAY_LENGTH) % 24;
+    const period = timeOfDay();
+    if (period !== before) {
+      showToast(PERIOD_TEXT[period]);
+      announce(PERIOD_TEXT[period]);
+      saveGame();
+    }
+    renderClock();
+  }
+
+  let clockShown = '';
+  function renderClock() {
+    const minutes = Math.floor(state.clock * 6) * 10; // to the last ten minutes
+    const text = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    const period = timeOfDay();
+    if (clockShown === text + period) return;
+    clockShown = text + period;
+    clockValue.textContent = text;
+    clockPeriod.textContent = period[0].toUpperCase() + period.slice(1);
+  }
+
+  // Lights drawn into the room this bake; the night shade is cut away round them
+  let roomLights = [];
+  function addLight(x, y, r) {
+    if (maskPass) return;
+    roomLights.push({ x, y, r });
+  }
+
+  function drawNightShade() {
+    const dark = skyNow().dark;
+    if (!dark) return;
+    ctx.save();
+    ctx.globalAlpha = dark * 0.5;
+    ctx.fillStyle = '#0a0c22';
+    ctx.fillRect(110, 72, 740, 368);
+    ctx.globalAlpha = 1;
+    ctx.globalCompositeOperation = 'destination-out';
+    roomLights.forEach(l => ctx.drawImage(glowSprite(l.r, 'rgba(0,0,0,1)'), l.x - l.r, l.y - l.r));
+    ctx.restore();
+  }
+
+  // ---------- Weather ----------
+  // Weather drifts from one kind to the next every few minutes and shows in
+  // the windows: the glass takes a tint (baked with the layers) and rain,
+  // snow, fog or a storm plays over it each frame. A looped noise bed on the
+  // sfx bus follows the kind, storms flash and rumble, and dialogue can check
+  // `weather` or a recent lightning `flash`. The layout editor can force it.
+  const WEATHER = {
+    clear: { weight: 5, text: 'The sky clears.' },
+    rain: { weight: 3, tint: '#5a6a80', mix: 0.5, drops: 1, text: 'Rain starts tapping on the windows.',
+      bed: { freq: 1800, q: 0.5, gain: 0.05 } },
+    snow: { weight: 1, tint: '#c4cede', mix: 0.45, flakes: 1, text: 'Snow drifts past the windows.',
+      bed: { freq: 380, q: 0.3, gain: 0.03 } },
+    fog: { weight: 2, tint: '#c8d0d8', mix: 0.6, fog: 1, text: 'Fog settles against the glass.',
+      bed: { freq: 260, q: 0.2, gain: 0.02 } },
+    storm: { weight: 1, tint: '#3e4658', mix: 0.6, drops: 2, flashes: true, text: 'A storm rolls in. Thunder grumbles far off.',
+      bed: { freq: 1200, q: 0.4, gain: 0.08 } },
+  };
+  const WEATHER_KINDS = Object.keys(WEATHER);
+  const WEATHER_TIME = [90, 240]; // seconds each spell of weather lasts
+  const FLASH_GAP = [6, 16];      // seconds between lightning in a storm
+  const FLASH_TIME = 0.35;
+  const FLASH_MEMORY = 6;         // how long a flash counts for dialogue
+  const weather = { kind: 'clear', until: 0, forced: null, nextFlash: 0, flashAt: -Infinity, bed: null };
+
+  const between = ([lo, hi]) => lo + Math.random() * (hi - lo);
+  const weatherKind = () => weather.forced || weather.kind;
+  const recentFlash = () => state.time - weather.flashAt < FLASH_MEMORY;
+
+  // 0..1 brightness of the lightning, with a second flicker
+  function flashLevel() {
+    const since = state.time - weather.flashAt;
+    if (since < 0 || since > FLASH_TIME) return 0;
+    return since < 0.08 || since > 0.16 ? 1 - since / FLASH_TIME : 0.2;
+  }
+
+  function pickWeather() {
+    const total = WEATHER_KINDS.reduce((n, k) => n + WEATHER[k].weight, 0);
+    let roll = Math.random() * total;
+    return WEATHER_KINDS.find(k => (roll -= WEATHER[k].weight) < 0) || 'clear';
+  }
+
+  function setWeather(kind) {
+    const before = weatherKind();
+    weather.kind = kind;
+    weather.until = state.time + between(WEATHER_TIME);
+    if (weatherKind() !== before) weatherChanged();
+  }
+
+  function forceWeather(kind) {
+    const before = weatherKind();
+    weather.forced = kind || null;
+    if (weatherKind() !== before) weatherChanged();
+  }
+
+  function weatherChanged() {
+    weather.nextFlash = state.time + between(FLASH_GAP) / 2;
+    announce(WEATHER[weatherKind()].text);
+    saveGame();
+  }
+
+  function updateWeather() {
+    if (session.slot == null) return;
+    if (state.time >= weather.until) setWeather(pickWeather());
+    if (WEATHER[weatherKind()].flashes && state.time >= weather.nextFlash) lightning();
+    updateWeatherBed();
+  }
+
+  function lightning() {
+    weather.flashAt = state.time;
+    weather.nextFlash = state.time + between(FLASH_GAP);
+    startleSpirits();
+    if (audio.muted || !audio.ctx) return;
+    // thunder follows a moment later: a low, swelling rumble of noise
+    const ac = audio.ctx;
+    const t0 = ac.currentTime + between([0.4, 1.6]);
+    const src = ac.createBufferSource();
+    src.buffer = noiseBuffer();
+    const low = ac.createBiquadFilter();
+    low.type = 'lowpass';
+    low.frequency.value = 160;
+    const g = ac.createGain();
+    g.gain.setValueAtTime(0.0001, t0);
+    g.gain.exponentialRampToValueAtTime(0.35, t0 + 0.15);
+    g.gain.exponentialRampToValueAtTime(0.0001, t0 + 2.4);
+    src.connect(low); low.connect(g); g.connect(audio.buses.sfx);
+    src.start(t0);
+    src.stop(t0 + 2.5);
+  }
+
+  let noise = null;
+  function noiseBuffer() {
+    if (!noise) {
+      const ac = audio.ctx;
+      noise = ac.createBuffer(1, ac.sampleRate * 2, ac.sampleRate);
+      const data = noise.getChannelData(0);
+      for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    }
+    return noise;
+  }
+
+  // One looped noise source; the filter and level glide to suit the weather
+  function updateWeatherBed() {
+    if (audio.muted || !audio.ctx) return;
+    const ac = audio.ctx;
+    if (!weather.bed) {
+      const src = ac.createBufferSource();
+      src.buffer = noiseBuffer();
+      src.loop = true;
+      const filter = ac.createBiquadFilter();
+      filter.type = 'bandpass';
+      const level = ac.createGain();
+      level.gain.value = 0;
+      src.connect(filter); filter.connect(level); level.connect(audio.buses.sfx);
+      src.start();
+      weather.bed = { filter, level, kind: null };
+    }
+    const kind = weatherKind();
+    if (weather.bed.kind === kind) return;
+    weather.bed.kind = kind;
+    const bed = WEATHER[kind].bed || { freq: 400, q: 0.3, gain: 0 };
+    const t0 = ac.currentTime;
+    weather.bed.filter.frequency.setTargetAtTime(bed.freq, t0, 1);
+    weather.bed.filter.Q.setTargetAtTime(bed.q, t0, 1);
+    weather.bed.level.gain.setTargetAtTime(bed.gain, t0, 2);
+  }
+
+  // Window glass this bake, so the weather can play over it
+  let roomWindows = [];
+
+  function weatherGlass(glass) {
+    const w = WEATHER[weatherKind()];
+    return w.tint ? mixColor(glass, w.tint, w.mix) : glass;
+  }
+
+  function drawWeather() {
+    const w = WEATHER[weatherKind()];
+    // lightning flashes the glass and the room, unless motion is reduced
+    const flash = settings.reducedMotion ? 0 : flashLevel();
+    const t = motionTime();
+    roomWindows.forEach(win => {
+      const gx = win.x + 6;
+      const gy = win.y + 6;
+      const gw = win.w - 12;
+      const gh = win.h - 12;
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(gx, gy, gw, gh);
+      ctx.clip();
+      const seed = win.x * 7 + win.y;
+      if (w.drops) {
+        const drops = ((gw * gh) / 500 * w.drops)|0;
+        for (let i = 0; i < drops; i++) {
+          const x = gx + (i * 37 + seed + t * 30 * w.drops) % gw;
+          const y = gy + (i * 53 + seed + t * 240) % (gh + 8) - 8;
+          pxRect(x, y, 2, 6, 'rgba(210,226,255,.45)');
+        }
+      }
+      if (w.flakes) {
+        const flakes = ((gw * gh) / 400)|0;
+        for (let i = 0; i < flakes; i++) {
+          const x = gx + (i * 41 + seed + Math.sin(t + i) * 6) % gw;
+          const y = gy + (i * 29 + seed + t * 18) % (gh + 4) - 4;
+          pxRect(x, y, 2, 2, 'rgba(255,255,255,.85)');
+        }
+      }
+      if (w.fog) {
+        for (let b = 0; b < 3; b++) {
+          const x = gx - 40 + (b * 50 + seed + t * 8) % (gw + 80);
+          const y = gy + (b + 0.5) * gh / 3 + Math.sin(t * 0.3 + b) * 4;
+          pxRect(gx, y - 6, gw, 12, 'rgba(230,235,240,.16)');
+          pxRect(x, y - 8, 60, 16, 'rgba(240,244,248,.22)');
+        }
+      }
+      if (flash) pxRect(gx, gy, gw, gh, `rgba(235,240,255,${flash * 0.8})`);
+      ctx.restore();
+      drawWindowBars(win.x, win.y, win.w, win.h);
+    });
+    if (flash) pxRect(110, 72, 740, 368, `rgba(235,240,255,${flash * 0.12})`);
+  }
+
+  // ---------- Moods ----------
+  // A spirit's data `mood` is its temperament; its live mood lives in
+  // state.moods as { mood, strength }. Nudging toward the current mood
+  // strengthens it, toward another weakens it until the new one takes over.
+  // Moods drift back to a resting one (the temperament, or steady once the
+  // spirit is helped) and react to visits, neglect, weather and how their
+  // mini-game goes. The live mood shapes the blob's idle, `mood` dialogue
+  // lines and how forgiving the mini-game is; voices keep the temperament.
+  const MOODS = ['anxious', 'shy', 'lonely', 'curious', 'steady'];
+  const MOOD_REST = 0.5;          // strength a resting mood settles at
+  const MOOD_DRIFT = 1 / 600;     // per second, back toward resting
+  const LONELY_AFTER = 240;       // seconds unvisited before a spirit you've met pines
+  const LONELY_RATE = 1 / 300;
+  const WEATHER_MOOD_RATE = 1 / 240;
+  const VISIT_COMFORT = 0.15;     // doubled for a lonely spirit
+  const HELPED_COMFORT = 1.5;    // enough to settle even a badly shaken spirit
+  const FLASH_FRIGHT = 0.15;
+  // Weather tugs spirits of a temperament toward a mood while it lasts
+  const WEATHER_MOODS = {
+    rain: { lonely: 'lonely' },
+    storm: { lonely: 'lonely', anxious: 'anxious', shy: 'anxious' },
+    snow: { curious: 'curious' },
+    fog: { shy: 'shy', curious: 'shy' },
+  };
+  const lastVisitAt = {}; // object id -> state.time of the latest visit this session
+
+  const restingMood = (obj) => (isQuestComplete(obj) ? 'steady' : obj.spirit.mood || 'steady');
+
+  function moodOf(obj) {
+    if (!state.moods[obj.id]) state.moods[obj.id] = { mood: restingMood(obj), strength: MOOD_REST };
+    return state.moods[obj.id];
+  }
+  const currentMood = (obj) => moodOf(obj).mood;
+
+  // 0..1, how unsettled a spirit is; steady spirits aren't
+  function moodStrain(obj) {
+    const m = moodOf(obj);
+    return m.mood === 'steady' ? 0 : m.strength;
+  }
+
+  function nudgeMood(obj, mood, amount) {
+    const m = moodOf(obj);
+    if (m.mood === mood) {
+      m.strength = Math.min(1, m.strength + amount);
+    } else {
+      m.strength -= amount;
+      if (m.strength < 0) {
+        m.mood = mood;
+        m.strength = Math.min(1, -m.strength);
+      }
+    }
+  }
+
+  // Company settles a spirit, and makes up for having been left alone
+  function comfortSpirit(obj) {
+    lastVisitAt[obj.id] = state.time;
+    nudgeMood(obj, 'steady', currentMood(obj) === 'lonely' ? VISIT_COMFORT * 2 : VISIT_COMFORT);
+  }
+
+  // Lightning startles the nervous ones
+  function startleSpirits() {
+    objects.forEach(o => {
+      if (o.spirit.mood === 'anxious' || o.spirit.mood === 'shy') nudgeMood(o, 'anxious', FLASH_FRIGHT);
+    });
+  }
+
+  function updateMoods(dt) {
+    if (session.slot == null || editor.on) return;
+    const pulls = WEATHER_MOODS[weatherKind()] || {};
+    objects.forEach(obj => {
+      const m = moodOf(obj);
+      const rest = restingMood(obj);
+      if (m.mood === rest) m.strength += clamp(MOOD_REST - m.strength, -MOOD_DRIFT * dt, MOOD_DRIFT * dt);
+      else nudgeMood(obj, rest, MOOD_DRIFT * dt);
+
+      if (state.dialog.open && currentObj === obj) lastVisitAt[obj.id] = state.time;
+      const alone = state.time - (lastVisitAt[obj.id] ?? state.time);
+      if (visitCount(obj) && alone > LONELY_AFTER) nudgeMood(obj, 'lonely', LONELY_RATE * dt);
+
+      const pull = pulls[obj.spirit.mood];
+      if (pull) nudgeMood(obj, pull, WEATHER_MOOD_RATE * dt);
+    });
+  }
+
+  // ---------- Save / Load ----------
+  // Progress autosaves to the active slot in localStorage. When the save shape
+  // changes, bump SAVE_VERSION and add a migration keyed by the version it
+  // upgrades *from*.
+  const SAVE_PREFIX = 'pocketSpirits.slot';
+  const LAST_SLOT_KEY = 'pocketSpirits.lastSlot';
+  const LEGACY_SAVE_KEY = 'pocketSpirits.save'; // the one save before slots
+  const SLOT_COUNT = 3;
+  const SAVE_VERSION = 3;
+  const saveMigrations = {
+    // v1 tracked quests as a numeric `stage` (0 not started, 1 doing, 2 complete)
+    1: (save) => {
+      const byStage = [QuestStatus.NOT_STARTED, QuestStatus.PAUSED, QuestStatus.COMPLETE];
+      Object.values(save.quests || {}).forEach(q => {
+        q.status = byStage[q.stage] || QuestStatus.NOT_STARTED;
+        delete q.stage;
+      });
+      return save;
+    },
+    // v2 added 0.18 warmth per fragment and never cooled
+    2: (save) => {
+      const found = (save.fragments || []).filter(Boolean).length;
+      save.warmth = save.warmthPeak = Math.min(1, found * WARMTH_PER_FRAGMENT);
+      return save;
+    },
+  };
+
+  const session = { slot: null, name: '' };
+
+  function slotKey(slot) { return SAVE_PREFIX + slot; }
+  function defaultSlotName(slot) { return `Room ${slot}`; }
+
+  function readStorage(key) {
+    try { return localStorage.getItem(key); } catch { return null; }
+  }
+  function writeStorage(key, value) {
+    try {
+      if (value == null) localStorage.removeItem(key);
+      else localStorage.setItem(key, value);
+    } catch { /* storage full or blocked — keep playing in memory */ }
+  }
+
+  function serializeGame() {
+    const quests = {};
+    objects.forEach(o => { if (o.quest) quests[o.id] = serializeQuest(o.quest); });
+    return {
+      version: SAVE_VERSION,
+      savedAt: Date.now(),
+      name: session.name,
+      fragments: state.fragments.slice(),
+      warmth: state.warmth,
+      warmthPeak: state.warmthPeak,
+      clock: state.clock,
+      weather: weather.kind,
+      discoveredAny: state.discoveredAny,
+      scene: state.scene,
+      visits: { ...state.visits },
+      moods: JSON.parse(JSON.stringify(state.moods)),
+      flags: { ...state.flags },
+      journal: state.journal.slice(),
+      epilogue: state.epilogue,
+      quests,
+    };
+  }
+
+  function migrateSave(save) {
+    if (!save || typeof save !== 'object') throw new Error('Save data is not an object');
+    let version = Number(save.version);
+    if (!Number.isInteger(version) || version < 1) throw new Error('Save data has no version');
+    if (version > SAVE_VERSION) throw new Error(`Save version ${version} is newer than this game`);
+    while (version < SAVE_VERSION) {
+      const migrate = saveMigrations[version];
+      if (!migrate) throw new Error(`No migration from save version ${version}`);
+      save = migrate(save);
+      save.version = ++version;
+    }
+    return save;
+  }
+
+  function resetGame() {
+    for (let i = 0; i < FRAG_SLOTS; i++) state.fragments[i] = false;
+    state.warmth = 0;
+    state.warmthPeak = 0;
+    state.lastCare = state.time;
+    state.clock = START_HOUR;
+    weather.kind = 'clear';
+    weather.until = state.time + between(WEATHER_TIME);
+    state.discoveredAny = false;
+    state.scene = 'living';
+    state.transition = null;
+    state.visits = {};
+    state.moods = {};
+    state.flags = {};
+    state.journal = [];
+    state.epilogue = false;
+    objects.forEach(o => {
+      if (o.quest) o.quest = { ...questDefaults[o.id] };
+      lastVisitAt[o.id] = state.time;
+    });
+  }
+
+  function applySave(save) {
+    save = migrateSave(save);
+    resetGame();
+    for (let i = 0; i < FRAG_SLOTS; i++) state.fragments[i] = !!save.fragments?.[i];
+    state.warmthPeak = Math.max(clamp(Number(save.warmth) || 0, 0, warmthCap()), clamp(Number(save.warmthPeak) || 0, 0, 1));
+    state.warmth = savedWarmth(save);
+    const clock = Number(save.clock);
+    if (Number.isFinite(clock)) state.clock = ((clock % 24) + 24) % 24;
+    if (WEATHER[save.weather]) weather.kind = save.weather;
+    state.discoveredAny = !!save.discoveredAny;
+    Object.assign(state.visits, save.visits);
+    Object.assign(state.flags, save.flags);
+    objects.forEach(o => {
+      const m = save.moods?.[o.id];
+      if (m && MOODS.includes(m.mood)) state.moods[o.id] = { mood: m.mood, strength: clamp(Number(m.strength) || 0, 0, 1) };
+    });
+    state.epilogue = !!save.epilogue;
+    if (Array.isArray(save.journal)) state.journal = save.journal.filter(e => e && typeof e.text === 'string');
+    objects.forEach(o => {
+      const q = save.quests?.[o.id];
+      if (o.quest && q && typeof q === 'object') Object.assign(o.quest, q);
+      // A mini-game can't still be running after a reload
+      if (o.quest?.status === QuestStatus.IN_PROGRESS) o.quest.status = QuestStatus.PAUSED;
+    });
+    if (scenes[save.scene] && isSceneUnlocked(save.scene)) state.scene = save.scene;
+  }
+
+  // A slot holding something that won't parse or migrate (a newer game's
+  // save, say). It's never loaded, copied or quietly written over.
+  const UNREADABLE = Object.freeze({ unreadable: true });
+  const isSave = (save) => !!save && save !== UNREADABLE;
+
+  // Parsed + migrated save for a slot, null when empty, or UNREADABLE
+  function readSlot(slot) {
+    const raw = readStorage(slotKey(slot));
+    if (!raw) return null;
+    try {
+      return migrateSave(JSON.parse(raw));
+    } catch {
+      return UNREADABLE;
+    }
+  }
+
+  // Before slots, progress lived under a single key. Move it into slot 1 the
+  // first time the game boots with no slots; an unreadable one stays put.
+  function adoptLegacySave() {
+    const raw = readStorage(LEGACY_SAVE_KEY);
+    if (!raw) return;
+    for (let slot = 1; slot <= SLOT_COUNT; slot++) {
+      if (readStorage(slotKey(slot))) return;
+    }
+    let save;
+    try {
+      save = migrateSave(JSON.parse(raw));
+    } catch {
+      return;
+    }
+    writeStorage(slotKey(1), JSON.stringify(save));
+    writeStorage(LEGACY_SAVE_KEY, null);
+    writeStorage(LAST_SLOT_KEY, '1');
+  }
+
+  function saveGame() {
+    if (session.slot == null) return;
+    writeStorage(slotKey(session.slot), JSON.stringify(serializeGame()));
+  }
+
+  function loadGame(slot) {
+    const found = readSlot(slot);
+    const save = isSave(found) ? found : null;
+    session.slot = slot;
+    session.name = save?.name || defaultSlotName(slot);
+    if (save) applySave(save);
+    else resetGame();
+    writeStorage(LAST_SLOT_KEY, String(slot));
+    return !!save;
+  }
+
+  function newGame(slot, name) {
+    resetGame();
+    session.slot = slot;
+    session.name = name || defaultSlotName(slot);
+    writeStorage(LAST_SLOT_KEY, String(slot));
+    saveGame();
+  }
+
+  function copySlot(from, to) {
+    const save = readSlot(from);
+    if (!isSave(save)) return;
+    save.name = `${save.name || defaultSlotName(from)} (copy)`;
+    writeStorage(slotKey(to), JSON.stringify(save));
+  }
+
+  function deleteSlot(slot) {
+    writeStorage(slotKey(slot), null);
+    if (readStorage(LAST_SLOT_KEY) === String(slot)) writeStorage(LAST_SLOT_KEY, null);
+  }
+
+  // Export/import so testers can pass a save file around
+  function exportSave() {
+    downloadJson('pocket-spirits-save.json', serializeGame());
+  }
+
+  function importSave(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        applySave(JSON.parse(String(reader.result)));
+      } catch {
+        storyNote.textContent = "That save file couldn’t be read. Nothing was changed.";
+        return;
+      }
+      if (state.dialog.open) closeDialogue();
+      if (state.discoveredAny) tapHint.style.display = 'none';
+      saveGame();
+      renderFragmentsUI();
+      audio.beep(760, 0.05, 'triangle', 0.03);
+    };
+    reader.readAsText(file);
+  }
+
+  btnExportSave.addEventListener('click', exportSave);
+  btnImportSave.addEventListener('click', () => importFile.click());
+  importFile.addEventListener('change', () => {
+    const file = importFile.files[0];
+    importFile.value = '';
+    if (file) importSave(file);
+  });
+
+  // ---------- Dialogue System ----------
+  // Each spirit's `dialogue` is a small node graph, interpreted here:
+  //   start   node id, or a list of { if, goto } tried top to bottom
+  //   nodes   { id: { lines, face, do, choices, next } }
+  // A line is a string or { text, if, face }. A choice is { label, if, do, goto }.
+  // `face` picks the portrait's expression for a line (the node's sets the
+  // default, then "neutral"); line text can use typewriter markup.
+  // `do` runs effects when a node is entered or a choice is picked; `next`
+  // (an id or a { if, goto } list) follows once the lines run out. A node
+  // without lines keeps the current text and only offers its choices.
+  // Nodes and `start` in the top-level `sharedDialogue` apply to every spirit.
+  let sharedDialogue = { start: null, nodes: {} };
+  let currentObj = null;
+  const talk = { nodeId: null, lines: [], choices: null, next: null };
+
+  const fragmentCount = () => state.fragments.filter(Boolean).length;
+  const visitCount = (obj) => state.visits[obj.id] || 0;
+
+  const dialogueConditions = {
+    minFragments: (v) => fragmentCount() >= v,
+    maxFragments: (v) => fragmentCount() <= v,
+    minWarmth: (v) => state.warmth >= v,
+    maxWarmth: (v) => state.warmth <= v,
+    reachedWarmth: (v) => state.warmthPeak >= v,
+    quest: (v, obj) => [].concat(v).includes(obj.quest.status),
+    time: (v) => [].concat(v).includes(timeOfDay()),
+    weather: (v) => [].concat(v).includes(weatherKind()),
+    flash: (v) => recentFlash() === v,
+    mood: (v, obj) => [].concat(v).includes(currentMood(obj)),
+    minVisits: (v, obj) => visitCount(obj) >= v,
+    maxVisits: (v, obj) => visitCount(obj) <= v,
+    flag: (v) => !!state.flags[v],
+    notFlag: (v) => !state.flags[v],
+    spiritComplete: (v) => isQuestComplete(objects.find(o => o.id === v) || {}),
+  };
+
+  const dialogueEffects = {
+    award: (obj) => awardFragment(obj),
+    completeQuest: (obj) => {
+      obj.quest.status = QuestStatus.COMPLETE;
+      awardFragment(obj);
+      nudgeMood(obj, 'steady', HELPED_COMFORT);
+      saveGame();
+    },
+    startQuest: (obj) => startQuestIfAvailable(obj),
+    resumeQuest: (obj) => resumeQuest(obj),
+    restartQuest: (obj) => restartQuest(obj),
+    setFlag: (obj, name) => { state.flags[name] = true; saveGame(); },
+    clearFlag: (obj, name) => { delete state.flags[name]; saveGame(); },
+    close: () => closeDialogue(),
+  };
+
+  // Effects are written as "name" or { "name": arg }
+  function effectEntry(e) {
+    return typeof e === 'string' ? [e, true] : Object.entries(e || {})[0] || [];
+  }
+
+  function checkCondition(cond, obj) {
+    if (!cond) return true;
+    return Object.entries(cond).every(([key, v]) => dialogueConditions[key]?.(v, obj));
+  }
+
+  function runEffects(list, obj) {
+    for (const e of [].concat(list || [])) {
+      const [name, arg] = effectEntry(e);
+      dialogueEffects[name]?.(obj, arg);
+      if (currentObj !== obj) return; // an effect closed the dialogue
+    }
+  }
+
+  function dialogueNodes(obj) {
+    return { ...sharedDialogue.nodes, ...obj.dialogue.nodes };
+  }
+
+  // `next`/`start` values: a node id, or the first { if, goto } that passes
+  function resolveGoto(target, obj) {
+    if (target == null || typeof target === 'string') return target ?? null;
+    return target.find(t => checkCondition(t.if, obj))?.goto ?? null;
+  }
+
+  function fillText(text, obj) {
+    return String(text).replaceAll('{progress}', () => miniGames[obj.quest.game]?.progress?.(obj.quest) || '');
+  }
+
+  function enterNode(obj, nodeId) {
+    const node = dialogueNodes(obj)[nodeId];
+    if (!node) {
+      closeDialogue();
+      return;
+    }
+    talk.nodeId = nodeId;
+    talk.lines = (node.lines || [])
+      .filter(l => typeof l === 'string' || checkCondition(l.if, obj))
+      .map(l => ({
+        text: fillText(typeof l === 'string' ? l : l.text, obj),
+        face: l.face || node.face || 'neutral',
+      }));
+    talk.choices = node.choices || null;
+    talk.next = node.next ?? null;
+    choicesEl.innerHTML = '';
+    btnContinue.textContent = 'Continue';
+    saveGame(); // keeps the journal so far
+
+    runEffects(node.do, obj);
+    if (currentObj !== obj || talk.nodeId !== nodeId) return;
+    advanceDialogue();
+  }
+
+  // Show the next line, or once lines run out, the node's choices / next node
+  function advanceDialogue() {
+    const obj = currentObj;
+    if (talk.lines.length) {
+      const line = talk.lines.shift();
+      setDialogueText(line.text);
+      setFace(line.face);
+      if (talk.lines.length) return;
+      if (!talk.choices) {
+        // A choice-only node can join the last line instead of waiting a click
+        const nextId = resolveGoto(talk.next, obj);
+        if (nextId && !dialogueNodes(obj)[nextId]?.lines?.length) whenTyped(() => enterNode(obj, nextId));
+        return;
+      }
+    }
+    if (talk.choices) {
+      whenTyped(() => showNodeChoices(obj));
+    } else if (talk.next != null) {
+      enterNode(obj, resolveGoto(talk.next, obj));
+    } else {
+      closeDialogue();
+    }
+  }
+
+  function showNodeChoices(obj) {
+    const list = talk.choices.filter(c => checkCondition(c.if, obj));
+    talk.choices = null;
+    showChoices(list.map(c => ({
+      label: fillText(c.label, obj),
+      onPick: () => {
+        runEffects(c.do, obj);
+        if (currentObj === obj && c.goto) enterNode(obj, c.goto);
+      }
+    })));
+    btnContinue.textContent = '…';
+  }
+
+  function openDialogue(obj) {
+    if (!isAwake(obj)) {
+      showToast(sleepHint(obj));
+      announce(sleepHint(obj));
+      return;
+    }
+    currentObj = obj;
+    state.dialog.open = true;
+    state.dialog.objId = obj.id;
+    state.dialog.step = 0;
+    state.dialog.locked = false;
+
+    state.discoveredAny = true;
+    state.visits[obj.id] = visitCount(obj) + 1;
+    tendSpirit(obj);
+    saveGame();
+    tapHint.style.display = 'none';
+    if (isQuestComplete(obj)) reactSpirit(obj);
+
+    dialogueName.textContent = obj.name;
+    hintText.textContent = hintFor(obj);
+    dialoguePanel.classList.remove('hidden');
+    miniGameArea.classList.add('hidden');
+    choicesEl.innerHTML = '';
+    btnContinue.textContent = 'Continue';
+    setDialogueText('');
+    renderPortrait();
+    audio.beep(640, 0.05, 'sine', 0.03);
+
+    // Lines open on how the spirit felt before you came; then company helps
+    enterNode(obj, resolveGoto(obj.dialogue.start ?? sharedDialogue.start, obj));
+    comfortSpirit(obj);
+    refocusDialogue();
+  }
+
+  function closeDialogue() {
+    if (currentObj) pauseQuest(currentObj);
+    saveGame();
+    state.dialog.open = false;
+    state.dialog.objId = null;
+    currentObj = null;
+    talk.nodeId = null;
+    talk.lines = [];
+    talk.choices = null;
+    talk.next = null;
+    setDialogueText('');
+    dialoguePanel.classList.add('hidden');
+    choicesEl.innerHTML = '';
+    miniGameArea.classList.add('hidden');
+    audio.beep(420, 0.05, 'sine', 0.02);
+    if (keyboardDialog) {
+      keyboardDialog = false;
+      canvas.focus();
+    }
+  }
+
+  // ---------- Typewriter ----------
+  // Lines type out a character at a time in the speaker's voice. Markup:
+  //   *words*           emphasis
+  //   {slow}…{/slow}    half speed (and {fast}…{/fast} double)
+  //   {pause}           a beat of silence
+  // Clicking the text or Continue shows the rest of the line at once.
+  const CHAR_TIME = 0.028; // seconds per character at normal speed
+  const PAUSE_TIME = 0.4;
+  const SPEEDS = { slow: 2, fast: 0.5 };
+  const PUNCTUATION_PAUSES = { ',': 0.12, ';': 0.14, ':': 0.14, '—': 0.18, '.': 0.26, '!': 0.26, '?': 0.28, '…': 0.34 };
+  const MARKUP_TAGS = ['slow', 'fast', 'pause'];
+
+  // Blip voices by mood: base pitch, how far letters wander from it, waveform,
+  // a letters-per-blip rate and how quickly they talk (lower is faster)
+  const VOICES = {
+    anxious: { pitch: 880, spread: 0.09, type: 'square', every: 2, pace: 0.75 },
+    shy: { pitch: 740, spread: 0.04, type: 'sine', every: 3, pace: 1.1 },
+    lonely: { pitch: 520, spread: 0.05, type: 'triangle', every: 3, pace: 1.2 },
+    curious: { pitch: 660, spread: 0.08, type: 'triangle', every: 2, pace: 0.9 },
+    steady: { pitch: 300, spread: 0.03, type: 'sine', every: 4, pace: 1.4 },
+  };
+  const DEFAULT_VOICE = VOICES.curious;
+
+  const typer = { chars: [], shown: 0, wait: 0, voice: DEFAULT_VOICE, then: null };
+
+  // -> [{ ch, em, wait }] where `wait` is the delay before that character shows
+  function parseMarkup(text, pace) {
+    const chars = [];
+    let em = false;
+    let speed = 1;
+    let carry = 0;
+    for (const [tok, close, tag] of String(text).matchAll(/\{(\/?)(slow|fast|pause)\}|\*|[\s\S]/gu)) {
+      if (tok === '*') em = !em;
+      else if (tag === 'pause') carry += PAUSE_TIME;
+      else if (tag) speed = close ? 1 : SPEEDS[tag];
+      else {
+        chars.push({ ch: tok, em, wait: (chars.length ? CHAR_TIME * pace * speed : 0) + carry });
+        carry = (PUNCTUATION_PAUSES[tok] || 0) * speed;
+      }
+    }
+    return chars;
+  }
+
+  function setDialogueText(t) {
+    typer.voice = VOICES[currentObj?.spirit.mood] || DEFAULT_VOICE;
+    typer.chars = parseMarkup(t || '', typer.voice.pace);
+    typer.shown = 0;
+    typer.wait = 0;
+    typer.then = null;
+    dialogueText.textContent = '';
+    if (!typer.chars.length) return;
+    const plain = typer.chars.map(c => c.ch).join('');
+    announce(plain);
+    logJournal(currentObj, 'line', plain);
+  }
+
+  const isTyping = () => typer.shown < typer.chars.length;
+
+  // Run `fn` once the current line has finished typing
+  function whenTyped(fn) {
+    if (isTyping()) typer.then = fn;
+    else fn();
+  }
+
+  function updateTypewriter(dt) {
+    if (!isTyping()) return;
+    typer.wait -= dt;
+    let spoke = false;
+    while (isTyping() && typer.wait <= 0) {
+      const c = typer.chars[typer.shown++];
+      appendChar(c);
+      if (!spoke) spoke = voiceBlip(c, typer.shown);
+      if (isTyping()) typer.wait += typer.chars[typer.shown].wait;
+    }
+    if (!isTyping()) finishTyping();
+  }
+
+  function skipTyping() {
+    if (!isTyping()) return;
+    typer.chars.slice(typer.shown).forEach(appendChar);
+    typer.shown = typer.chars.length;
+    finishTyping();
+  }
+
+  function finishTyping() {
+    const then = typer.then;
+    typer.then = null;
+    if (then) then();
+  }
+
+  // Emphasised runs share one <em>; plain runs one text node
+  function appendChar(c) {
+    const last = dialogueText.lastChild;
+    if (last && (last.nodeName === 'EM') === c.em) {
+      last.textContent += c.ch;
+    } else if (c.em) {
+      const em = document.createElement('em');
+      em.textContent = c.ch;
+      dialogueText.appendChild(em);
+    } else {
+      dialogueText.appendChild(document.createTextNode(c.ch));
+    }
+  }
+
+  // Each letter has its own pitch, so a word sounds the same every time
+  function voiceBlip(c, n) {
+    const v = typer.voice;
+    if (!/[\p{L}\p{N}]/u.test(c.ch) || n % v.every) return false;
+    const step = (c.ch.toLowerCase().codePointAt(0) % 7) - 3;
+    audio.beep(v.pitch * (1 + step * v.spread), 0.035, v.type, 0.012);
+    return true;
+  }
+
+  // ---------- Journal ----------
+  // Every line shown, choice picked and mini-game result, oldest first and
+  // saved with the game: { who, visit, kind: 'line' | 'choice' | 'result', text }.
+  // The dialogue's Backlog shows the current spirit's part; Journal shows all.
+  const JOURNAL_LIMIT = 400;
+  let journalFor = null; // spirit id the open panel is filtered to, or null
+  let journalReturnFocus = null;
+
+  function logJournal(obj, kind, text) {
+    if (!obj || !text) return;
+    const visit = visitCount(obj);
+    const last = state.journal[state.journal.length - 1];
+    // Peeking at the same result twice doesn't need writing down twice
+    if (last && last.who === obj.id && last.kind === kind && last.text === text) return;
+    state.journal.push({ who: obj.id, visit, kind, text });
+    if (state.journal.length > JOURNAL_LIMIT) state.journal.splice(0, state.journal.length - JOURNAL_LIMIT);
+  }
+
+  function openJournal(objId = null) {
+    journalFor = objId;
+    const obj = objects.find(o => o.id === objId);
+    journalTitle.textContent = obj ? `${obj.name} · Backlog` : 'Journal';
+    renderJournal();
+    journalReturnFocus = document.activeElement;
+    journalPanel.classList.remove('hidden');
+    journalList.scrollTop = journalList.scrollHeight;
+    btnCloseJournal.focus();
+  }
+
+  function closeJournal() {
+    if (journalPanel.classList.contains('hidden')) return false;
+    journalPanel.classList.add('hidden');
+    journalReturnFocus?.focus?.();
+    journalReturnFocus = null;
+    return true;
+  }
+
+  function renderJournal() {
+    const entries = state.journal.filter(e => !journalFor || e.who === journalFor);
+    journalList.innerHTML = '';
+    journalEmpty.classList.toggle('hidden', entries.length > 0);
+
+    let prev = null;
+    entries.forEach(e => {
+      const obj = objects.find(o => o.id === e.who);
+      const name = obj?.name.split(' ')[0] || e.who;
+      // A heading whenever the speaker or the visit changes
+      if (!prev || prev.who !== e.who || prev.visit !== e.visit) {
+        const li = document.createElement('li');
+        li.className = 'visit';
+        li.textContent = journalFor ? `Visit ${e.visit}` : `${obj?.name || e.who} · visit ${e.visit}`;
+        journalList.appendChild(li);
+      }
+      prev = e;
+
+      const li = document.createElement('li');
+      if (e.kind === 'line') {
+        const who = document.createElement('span');
+        who.className = 'who';
+        who.textContent = `${name}: `;
+        li.append(who, e.text);
+      } else if (e.kind === 'choice') {
+        li.className = 'picked';
+        li.textContent = `› ${e.text}`;
+      } else {
+        li.className = 'outcome';
+        li.textContent = e.text;
+      }
+      journalList.appendChild(li);
+    });
+  }
+
+  btnBacklog.addEventListener('click', () => openJournal(currentObj?.id ?? null));
+  btnJournal.addEventListener('click', () => openJournal());
+  btnCloseJournal.addEventListener('click', closeJournal);
+
+  // ---------- Portrait ----------
+  // The speaker's face is the "portrait" sprite in their colours, drawn small
+  // and scaled up by CSS. It bobs, blinks and holds whichever expression the
+  // current line asks for.
+  const portraitLayer = { canvas: portraitCanvas, ctx: portraitCanvas.getContext('2d') };
+  const portrait = { face: 'neutral', since: 0 };
+
+  function renderPortrait() {
+    setFace('neutral');
+    drawPortrait();
+  }
+
+  function setFace(face) {
+    if (portrait.face === face) return;
+    portrait.face = face;
+    portrait.since = state.time;
+  }
+
+  function drawPortrait() {
+    if (!state.dialog.open || !currentObj) return;
+    const { colorA, colorB } = currentObj.spirit;
+    const t = settings.reducedMotion ? 0 : state.time - portrait.since;
+    const bob = Math.round(Math.sin(motionTime() * 2.4) + 1);
+    drawInto(portraitLayer, () => {
+      drawSprite('portrait', 2, 1 + bob, { anim: portrait.face, t, colors: { colorA, colorB } });
+    });
+  }
+
+  function showChoices(list) {
+    choicesEl.innerHTML = '';
+    list.forEach(c => {
+      const b = document.createElement('button');
+      b.type = 'button';
+      b.className = 'choice';
+      b.textContent = c.label;
+      b.addEventListener('click', () => {
+        logJournal(currentObj, 'choice', c.label);
+        c.onPick();
+        refocusDialogue();
+      });
+      choicesEl.appendChild(b);
+    });
+    refocusDialogue();
+  }
+
+  // ---------- Quest Lifecycle ----------
+  function isQuestComplete(obj) {
+    return obj.quest?.status === QuestStatus.COMPLETE;
+  }
+
+  function startQuestIfAvailable(obj) {
+    if (!obj.quest || obj.quest.status !== QuestStatus.NOT_STARTED) return;
+
+    if (!obj.quest.game) {
+      // “Discover-only” spirits: grant fragment immediately as a gentle reward
+      obj.quest.status = QuestStatus.COMPLETE;
+      awardFragment(obj);
+      saveGame();
+      showChoices([{ label: "Leave them a quiet moment", onPick: () => closeDialogue() }]);
+      return;
+    }
+    runQuest(obj);
+  }
+
+  function runQuest(obj) {
+    obj.quest.status = QuestStatus.IN_PROGRESS;
+    mountMiniGame(obj);
+  }
+
+  function pauseQuest(obj) {
+    if (obj.quest?.status !== QuestStatus.IN_PROGRESS) return;
+    obj.quest.status = QuestStatus.PAUSED;
+    unmountMiniGame();
+    saveGame();
+  }
+
+  function resumeQuest(obj) {
+    runQuest(obj);
+    audio.beep(700, 0.05, 'triangle', 0.025);
+  }
+
+  function restartQuest(obj) {
+    obj.quest = { ...questDefaults[obj.id] };
+    runQuest(obj);
+    audio.beep(520, 0.05, 'sine', 0.02);
+  }
+
+  // ---------- Mini-Game Framework ----------
+  // Spirits name their game in data (`quest.game`). Each registered game has:
+  //   title               heading for the mini-game area
+  //   mount(game)         build UI in game.root; use game.on() for listeners and
+  //                       game.result(el, text) for messages worth a journal entry
+  //   update(game, dt)    optional, called from tick() while mounted
+  //   unmount(game)       optional extra teardown (listeners are removed for you)
+  //   serialize(quest)    the quest fields worth saving
+  //   progress(quest)     optional short summary offered when resuming
+  const miniGames = {};
+  let activeGame = null;
+
+  function registerMiniGame(id, def) {
+    miniGames[id] = def;
+  }
+
+  function mountMiniGame(obj) {
+    const def = miniGames[obj.quest.game];
+    if (!def) return;
+    unmountMiniGame();
+
+    const listeners = [];
+    const game = {
+      obj,
+      def,
+      root: miniBody,
+      get quest() { return obj.quest; },
+      $: (sel) => miniBody.querySelector(sel),
+      // Shows a result message and writes it in the journal
+      result(el, text) {
+        el.textContent = text;
+        logJournal(obj, 'result', text);
+      },
+      on(el, type, fn) {
+        el.addEventListener(type, fn);
+        listeners.push(() => el.removeEventListener(type, fn));
+      },
+      complete: () => completeQuest(obj),
+      // How unsettled the spirit is (0..1); games get harder with it
+      get strain() { return moodStrain(obj); },
+      feel: (mood, amount) => nudgeMood(obj, mood, amount),
+      listeners,
+    };
+    activeGame = game;
+
+    state.dialog.locked = true;
+    miniGameArea.classList.remove('hidden');
+    miniTitle.textContent = def.title;
+    miniBody.innerHTML = '';
+    def.mount(game);
+  }
+
+  function unmountMiniGame() {
+    const game = activeGame;
+    if (!game) return;
+    activeGame = null;
+    game.def.unmount?.(game);
+    game.listeners.forEach(off => off());
+    miniBody.innerHTML = '';
+    miniGameArea.classList.add('hidden');
+    state.dialog.locked = false;
+  }
+
+  function updateMiniGame(dt) {
+    if (activeGame) activeGame.def.update?.(activeGame, dt);
+  }
+
+  // Saved quest = lifecycle status + whatever the game says is progress
+  function serializeQuest(quest) {
+    const def = miniGames[quest.game];
+    return def ? { status: quest.status, ...def.serialize(quest) } : { status: quest.status };
+  }
+
+  // ---------- Mini Games ----------
+  registerMiniGame('toast-courage', {
+    title: 'Toaster Courage',
+    targetMin: 0.42,
+    targetMax: 0.62,
+    squeeze: 0.06, // trimmed off each end at full strain
+
+    mount(game) {
+      const { quest } = game;
+      game.root.innerHTML = `
+        Bramble worries about burning bread. Set a gentle heat.
+        <div class="sliderRow">
+          <span>cool</span>
+          <input id="heatSlider" type="range" min="0" max="100" value="${Math.round(quest.heat*100)}">
+          <span>hot</span>
+        </div>
+        <div class="gridBtns">
+          <button class="smallBtn" id="toastBtn">Toast</button>
+          <button class="smallBtn" id="resetBtn">Breathe</button>
+          <button class="smallBtn" id="peekBtn">Peek</button>
+        </div>
+        <div id="toastResult" style="margin-top:10px; opacity:.9;"></div>
+      `;
+
+      const heatSlider = game.$('#heatSlider');
+      const toastResult = game.$('#toastResult');
+      // Nerves narrow the window: an anxious Bramble needs a more exact heat
+      const heatWindow = () => {
+        const squeeze = this.squeeze * game.strain;
+        return [this.targetMin + squeeze, this.targetMax - squeeze];
+      };
+
+      const updateHeat = () => {
+        game.quest.heat = clamp(Number(heatSlider.value) / 100, 0, 1);
+      };
+
+      game.on(heatSlider, 'input', () => {
+        updateHeat();
+        audio.beep(520 + game.quest.heat*380, 0.03, 'sine', 0.015);
+      });
+
+      game.on(game.$('#peekBtn'), 'click', () => {
+        updateHeat();
+        const h = game.quest.heat;
+        const [targetMin, targetMax] = heatWindow();
+        if (h < targetMin) game.result(toastResult, "It’s pale… like it never got a chance to be brave.");
+        else if (h > targetMax) game.result(toastResult, "It’s getting too intense. Bramble’s coils tense up.");
+        else game.result(toastResult, "That’s a cozy warmth. Golden edges. Gentle confidence.");
+        audio.beep(720, 0.04, 'triangle', 0.02);
+      });
+
+      game.on(game.$('#resetBtn'), 'click', () => {
+        heatSlider.value = "50";
+        updateHeat();
+        game.result(toastResult, "You both take a slow breath. Crumbs settle like tiny snow.");
+        game.feel('steady', 0.1);
+        audio.beep(440, 0.05, 'sine', 0.02);
+      });
+
+      game.on(game.$('#toastBtn'), 'click', () => {
+        updateHeat();
+        const h = game.quest.heat;
+        const [targetMin, targetMax] = heatWindow();
+        if (h < targetMin) {
+          game.result(toastResult, "The toast is underdone. Bramble whispers: “I can try again… gently.”");
+          audio.beep(300, 0.06, 'sine', 0.02);
+        } else if (h > targetMax) {
+          game.result(toastResult, "A harsh smell threatens. You stop in time. Bramble trembles—then calms.");
+          game.feel('anxious', 0.25);
+          audio.beep(220, 0.07, 'sine', 0.02);
+        } else {
+          game.result(toastResult, "Perfect. Warm. Safe. Bramble’s fear softens into pride.");
+          game.complete();
+        }
+      });
+
+      showChoices([
+        { label: "Stay with Bramble", onPick: () => {} }
+      ]);
+    },
+
+    serialize: (quest) => ({ heat: quest.heat }),
+    progress: (quest) => `heat at ${Math.round(quest.heat * 100)}%`,
+  });
+
+  registerMiniGame('lamp-practice', {
+    title: 'Lamp Practice',
+
+    mount(game) {
+      const { quest } = game;
+      game.root.innerHTML = `
+        Luma gets stage fright. Help them “glow on cue” three times.
+        <div style="margin-top:10px; opacity:.95;">
+          When you feel ready, tap <b>Glow</b> when the little star feels steady.
+        </div>
+        <div class="gridBtns">
+          <button class="smallBtn" id="glowBtn">Glow</button>
+          <button class="smallBtn" id="focusBtn">Focus</button>
+          <button class="smallBtn" id="stopBtn">Rest</button>
+        </div>
+        <div id="lampResult" style="margin-top:10px; opacity:.9;"></div>
+      `;
+
+      const lampResult = game.$('#lampResult');
+      if (quest.courage > 0) {
+        game.result(lampResult, `Luma remembers the glows you shared. (${quest.courage}/${quest.target})`);
+      }
+
+      game.wobble = 0.0;     // 0..1
+      game.steadyTime = 0;   // seconds spent steady
+
+      // Add a little “timing” feeling: focus reduces wobble
+      game.on(game.$('#focusBtn'), 'click', () => {
+        game.wobble = clamp(game.wobble - 0.22, 0, 1);
+        game.feel('steady', 0.05);
+        game.result(lampResult, "You hold your attention softly. The light steadies.");
+        audio.beep(740, 0.05, 'triangle', 0.02);
+      });
+
+      game.on(game.$('#glowBtn'), 'click', () => {
+        const q = game.quest;
+        const good = (game.steadyTime >= 1/6);
+        if (good) {
+          q.courage++;
+          game.result(lampResult, `A clean, confident glow! (${q.courage}/${q.target})`);
+          audio.beep(980, 0.06, 'triangle', 0.035);
+          audio.beep(1220, 0.05, 'sine', 0.02);
+          game.wobble = clamp(game.wobble + 0.15, 0, 1); // excitement wobble
+          if (q.courage >= q.target) game.complete();
+        } else {
+          game.result(lampResult, "A nervous flicker. That’s okay. Try again when it feels steady.");
+          audio.beep(360, 0.05, 'sine', 0.02);
+          game.wobble = clamp(game.wobble + 0.08, 0, 1);
+          game.feel('shy', 0.1);
+        }
+      });
+
+      game.on(game.$('#stopBtn'), 'click', () => {
+        game.result(lampResult, "You pause. Stage fright loosens when nobody rushes it.");
+        audio.beep(420, 0.05, 'sine', 0.02);
+      });
+
+      showChoices([{ label: "Cheer for Luma", onPick: () => {} }]);
+    },
+
+    update(game, dt) {
+      // Wobble drifts a little each 60fps-frame's worth of time, harder to
+      // hold down the more unsettled Luma is
+      const drift = Math.random()*0.08 - 0.03 + game.strain * 0.008;
+      game.wobble = clamp(game.wobble + drift * dt * 60, 0, 1);
+      if (game.wobble < 0.28) game.steadyTime += dt;
+      else game.steadyTime = 0;
+    },
+
+    serialize: (quest) => ({ courage: quest.courage }),
+    progress: (quest) => `${quest.courage}/${quest.target} steady glows`,
+  });
+
+  registerMiniGame('lonely-shelf', {
+    title: 'A Less-Lonely Shelf',
+
+    mount(game) {
+      const { quest } = game;
+      game.root.innerHTML = `
+        Mallow feels lonely. Place two tiny “comforts” on the shelf.
+        <div style="margin-top:10px; opacity:.95;">
+          Choose gentle companions: a sugar cube, a spoon, or a cookie.
+        </div>
+        <div class="gridBtns">
+          <button class="smallBtn" id="placeSugar">Sugar</button>
+          <button class="smallBtn" id="placeSpoon">Spoon</button>
+          <button class="smallBtn" id="placeCookie">Cookie</button>
+        </div>
+        <div id="teaResult" style="margin-top:10px; opacity:.9;"></div>
+      `;
+
+      const teaResult = game.$('#teaResult');
+      if (quest.friendsPlaced > 0) {
+        game.result(teaResult, `The comforts you left are still here. (${quest.friendsPlaced}/${quest.needs})`);
+      }
+
+      const place = (what) => {
+        const q = game.quest;
+        q.friendsPlaced++;
+        audio.beep(760, 0.05, 'triangle', 0.025);
+        game.result(teaResult, `${what} placed. The shelf feels a little kinder. (${q.friendsPlaced}/${q.needs})`);
+        if (q.friendsPlaced >= q.needs) game.complete();
+      };
+
+      game.on(game.$('#placeSugar'), 'click', () => place('A sugar cube'));
+      game.on(game.$('#placeSpoon'), 'click', () => place('A spoon'));
+      game.on(game.$('#placeCookie'), 'click', () => place('A cookie'));
+
+      showChoices([{ label: "Sit with Mallow", onPick: () => {} }]);
+    },
+
+    serialize: (quest) => ({ friendsPlaced: quest.friendsPlaced }),
+    progress: (quest) => `${quest.friendsPlaced}/${quest.needs} comforts placed`,
+  });
+
+  registerMiniGame('torn-pages', {
+    title: 'Torn Pages',
+    pages: [
+      "A family carried boxes into a cold, quiet house.",
+      "The first winter, nobody said much. The rooms felt too big.",
+      "Then someone put the kettle on, and someone else laughed.",
+      "By spring, even the chairs seemed to lean in and listen.",
+    ],
+
+    mount(game) {
+      game.root.innerHTML = `
+        Sable’s pages came loose. Tap two pages to swap them until the story reads right.
+        <div class="pageList" id="pageList"></div>
+        <div id="pageResult" style="margin-top:10px; opacity:.9;"></div>
+      `;
+
+      const pageList = game.$('#pageList');
+      const pageResult = game.$('#pageResult');
+      const { pages } = this;
+      let picked = -1;
+
+      const render = () => {
+        pageList.innerHTML = '';
+        game.quest.order.forEach((page, slot) => {
+          const b = document.createElement('button');
+          b.className = 'smallBtn pageBtn' + (slot === picked ? ' picked' : '');
+          b.textContent = pages[page];
+          b.dataset.slot = slot;
+          pageList.appendChild(b);
+        });
+      };
+
+      game.on(pageList, 'click', (e) => {
+        const b = e.target.closest('.pageBtn');
+        if (!b) return;
+        const slot = Number(b.dataset.slot);
+
+        if (picked < 0 || picked === slot) {
+          picked = picked === slot ? -1 : slot;
+          audio.beep(640, 0.03, 'sine', 0.015);
+          render();
+          return;
+        }
+
+        // Swap into a fresh array so the quest defaults are never mutated
+        const order = [...game.quest.order];
+        [order[picked], order[slot]] = [order[slot], order[picked]];
+        game.quest.order = order;
+        picked = -1;
+        render();
+
+        const placed = order.filter((page, i) => page === i).length;
+        if (placed === pages.length) {
+          game.result(pageResult, "The last page slides home. Sable’s spine straightens with a happy crackle.");
+          game.complete();
+        } else {
+          game.result(pageResult, `Paper rustles. (${placed}/${pages.length} pages in place)`);
+          audio.beep(560 + placed*90, 0.04, 'triangle', 0.02);
+        }
+      });
+
+      render();
+      showChoices([{ label: "Read along with Sable", onPick: () => {} }]);
+    },
+
+    serialize: (quest) => ({ order: quest.order }),
+    progress: (quest) => `${quest.order.filter((page, i) => page === i).length}/${quest.order.length} pages in place`,
+  });
+
+  registerMiniGame('sun-and-water', {
+    title: 'Sun and Water',
+    // Sprig is happy when both end the day inside these bands
+    sunMin: 0.35,
+    sunMax: 0.7,
+    soilMin: 0.35,
+    soilMax: 0.75,
+
+    mount(game) {
+      const { quest } = game;
+      game.root.innerHTML = `
+        Sprig needs ${quest.needs} balanced days in a row. Set the curtain, water, then let the day pass.
+        <div class="sliderRow">
+          <span>shade</span>
+          <input id="sunSlider" type="range" min="0" max="100" value="${Math.round(quest.sun*100)}">
+          <span>sun</span>
+        </div>
+        <div class="gridBtns">
+          <button class="smallBtn" id="waterBtn">Water</button>
+          <button class="smallBtn" id="feelBtn">Feel soil</button>
+          <button class="smallBtn" id="dayBtn">End day</button>
+        </div>
+        <div id="plantResult" style="margin-top:10px; opacity:.9;"></div>
+      `;
+
+      const sunSlider = game.$('#sunSlider');
+      const plantResult = game.$('#plantResult');
+      const { sunMin, sunMax, soilMin, soilMax } = this;
+      if (quest.goodDays > 0) {
+        game.result(plantResult, `Day ${quest.day}. Sprig still counts the good days. (${quest.goodDays}/${quest.needs})`);
+      }
+
+      game.on(sunSlider, 'input', () => {
+        game.quest.sun = clamp(Number(sunSlider.value) / 100, 0, 1);
+        audio.beep(480 + game.quest.sun*300, 0.03, 'sine', 0.012);
+      });
+
+      game.on(game.$('#waterBtn'), 'click', () => {
+        game.quest.soil = clamp(game.quest.soil + 0.2, 0, 1);
+        game.result(plantResult, "A slow pour. The soil darkens.");
+        audio.beep(360, 0.05, 'sine', 0.02);
+      });
+
+      game.on(game.$('#feelBtn'), 'click', () => {
+        const s = game.quest.soil;
+        if (s < soilMin) game.result(plantResult, "Dry and crumbly. Sprig’s leaves curl a little.");
+        else if (s > soilMax) game.result(plantResult, "Soggy. Sprig’s roots would like to breathe.");
+        else game.result(plantResult, "Cool and damp, like a good morning.");
+        audio.beep(720, 0.04, 'triangle', 0.02);
+      });
+
+      game.on(game.$('#dayBtn'), 'click', () => {
+        const q = game.quest;
+        // Sunlight dries the soil; evaluate how the day felt before it does
+        const soil = q.soil;
+        const sunOk = q.sun >= sunMin && q.sun <= sunMax;
+        const soilOk = soil >= soilMin && soil <= soilMax;
+        q.day++;
+        q.soil = clamp(q.soil - 0.1 - q.sun*0.25, 0, 1);
+
+        if (sunOk && soilOk) {
+          q.goodDays++;
+          game.result(plantResult, `Day ${q.day}. Sprig stretches toward the light. (${q.goodDays}/${q.needs})`);
+          audio.beep(880, 0.05, 'triangle', 0.03);
+          if (q.goodDays >= q.needs) game.complete();
+          return;
+        }
+
+        q.goodDays = 0;
+        if (!soilOk) game.result(plantResult, `Day ${q.day}. The soil was ${soil > soilMax ? 'too wet' : 'too dry'}. Sprig shrugs: “Tomorrow, then.”`);
+        else game.result(plantResult, `Day ${q.day}. The light was ${q.sun > sunMax ? 'too harsh' : 'too dim'}. Sprig shrugs: “Tomorrow, then.”`);
+        audio.beep(300, 0.06, 'sine', 0.02);
+      });
+
+      showChoices([{ label: "Keep Sprig company", onPick: () => {} }]);
+    },
+
+    serialize: (quest) => ({ day: quest.day, sun: quest.sun, soil: quest.soil, goodDays: quest.goodDays }),
+    progress: (quest) => `${quest.goodDays}/${quest.needs} good days`,
+  });
+
+  function completeQuest(obj) {
+    obj.quest.status = QuestStatus.COMPLETE;
+    unmountMiniGame();
+
+    awardFragment(obj);
+    reactSpirit(obj);
+    nudgeMood(obj, 'steady', HELPED_COMFORT);
+    saveGame();
+
+    // Post-quest lines + exit choices
+    enterNode(obj, 'after');
+    refocusDialogue();
+  }
+
+  // Continue button behavior
+  btnContinue.addEventListener('click', () => {
+    if (!state.dialog.open || !currentObj) return;
+    if (isTyping()) {
+      skipTyping();
+      return;
+    }
+
+    // If mini game is active/locked or a choice is waiting, Continue does
+    // nothing (keeps it slow and focused)
+    if (state.dialog.locked || choicesEl.childElementCount) {
+      audio.beep(300, 0.03, 'sine', 0.01);
+      return;
+    }
+
+    advanceDialogue();
+  });
+
+  dialogueText.addEventListener('click', skipTyping);
+
+  btnCloseDialogue.addEventListener('click', closeDialogue);
+
+  // Close on Esc
+  window.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !closeJournal() && !closeSettings()) closeDialogue();
+    if (e.key.toLowerCase() === 'm' && !e.target.closest?.('input, textarea, select')) setMuted(!audio.muted);
+  });
+
+  // ---------- Pointer Handling ----------
+  // Client coords -> device pixels -> virtual framebuffer pixels
+  function canvasPos(evt) {
+    const rect = canvas.getBoundingClientRect();
+    const dx = (evt.clientX - rect.left) * (canvas.width / rect.width);
+    const dy = (evt.clientY - rect.top) * (canvas.height / rect.height);
+    return { x: (dx - view.ox) / view.scale, y: (dy - view.oy) / view.scale };
+  }
+
+  function onPointerMove(evt) {
+    const p = canvasPos(evt);
+    state.pointer.touch = false;
+    state.pointer.alt = !!evt.altKey;
+    state.pointer.x = p.x;
+    state.pointer.y = p.y;
+  }
+
+  function onPointerDown(evt) {
+    const p = canvasPos(evt);
+    state.pointer.x = p.x;
+    state.pointer.y = p.y;
+    state.pointer.alt = !!evt.altKey;
+    state.pointer.down = true;
+    state.pointer.justDown = true;
+  }
+
+  function onPointerUp() {
+    state.pointer.down = false;
+  }
+
+  canvas.addEventListener('mousemove', onPointerMove);
+  canvas.addEventListener('mouseleave', () => {
+    state.pointer.x = -1;
+    state.pointer.y = -1;
+  });
+  canvas.addEventListener('mousedown', onPointerDown);
+  window.addEventListener('mouseup', onPointerUp);
+
+  // Touch: a quick tap acts on release; holding still shows the hint instead
+  canvas.addEventListener('touchstart', (e) => {
+    e.preventDefault();
+    onPointerMove(e.touches[0]);
+    state.pointer.touch = true;
+    state.pointer.down = true;
+    state.press = { t: state.time, long: false };
+    state.pressHintId = null;
+    if (editor.on) state.pointer.justDown = true; // the editor drags from touch-down
+  }, { passive: false });
+  canvas.addEventListener('touchmove', (e) => {
+    e.preventDefault();
+    onPointerMove(e.touches[0]);
+    state.pointer.touch = true;
+  }, { passive: false });
+  canvas.addEventListener('touchend', (e) => {
+    e.preventDefault();
+    const press = state.press;
+    state.press = null;
+    onPointerUp();
+    if (press && !press.long && !editor.on) state.pointer.justDown = true;
+  }, { passive: false });
+
+  // ---------- Keyboard & Screen Reader ----------
+  // Tab / arrow keys walk the scene's spirits, then its exits. Enter or Space
+  // acts on the focused one. The focus ring is drawn on the canvas itself.
+  const ARROW_STEP = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 };
+  let keyboardDialog = false; // dialogue was opened from the keyboard
+
+  function focusTargets() {
+    return [
+      ...sceneObjects().map(o => ({ id: o.id, bounds: o.bounds, obj: o })),
+      ...currentScene().exits.map(e => ({ id: 'exit:' + e.to, bounds: e.bounds, exit: e })),
+    ];
+  }
+
+  function focusedTarget() {
+    if (!state.focusId || document.activeElement !== canvas) return null;
+    return focusTargets().find(t => t.id === state.focusId) || null;
+  }
+
+  function describeTarget(t) {
+    if (t.obj) {
+      const found = isQuestComplete(t.obj) ? ' Memory fragment found.' : '';
+      const feeling = visitCount(t.obj) && isAwake(t.obj) ? ` Seems ${currentMood(t.obj)}.` : '';
+      return `${t.obj.name}.${feeling} ${hintFor(t.obj)}${found}`;
+    }
+    const locked = isSceneUnlocked(t.exit.to) ? '' : ' Locked.';
+    return `${t.exit.label}: ${scenes[t.exit.to].name}.${locked}`;
+  }
+
+  let announcing = null; // words queued for the live region this moment
+
+  function announce(text) {
+    // Several announcements at once (a fragment that also opens a room) are
+    // read out together rather than the last one winning
+    if (announcing) {
+      announcing.push(text);
+      return;
+    }
+    announcing = [text];
+    // Clear first so the same words twice in a row are still read out
+    srAnnounce.textContent = '';
+    setTimeout(() => {
+      srAnnounce.textContent = announcing.join(' ');
+      announcing = null;
+    }, 30);
+  }
+
+  function moveFocus(step) {
+    const list = focusTargets();
+    if (!list.length) return;
+    const i = list.findIndex(t => t.id === state.focusId);
+    const next = i < 0
+      ? list[step > 0 ? 0 : list.length - 1]
+      : list[(i + step + list.length) % list.length];
+    state.focusId = next.id;
+    announce(describeTarget(next));
+    audio.beep(560, 0.03, 'sine', 0.012);
+  }
+
+  function activateFocused() {
+    const t = focusedTarget();
+    if (!t) return;
+    if (t.obj) {
+      keyboardDialog = true;
+      openDialogue(t.obj);
+      audio.beep(700, 0.05, 'triangle', 0.03);
+    } else {
+      useExit(t.exit);
+    }
+  }
+
+  // Keep keyboard users inside the dialogue as its buttons come and go
+  function refocusDialogue() {
+    if (!keyboardDialog || !state.dialog.open) return;
+    const here = document.activeElement;
+    const choice = choicesEl.querySelector('.choice');
+    // Continue goes inert while choices wait, so hop onto the first one
+    if (choice && (here === btnContinue || !dialoguePanel.contains(here))) choice.focus();
+    else if (!dialoguePanel.contains(here)) btnContinue.focus();
+  }
+
+  canvas.addEventListener('focus', () => {
+    const t = focusedTarget();
+    if (t) announce(describeTarget(t));
+    else moveFocus(1);
+  });
+
+  canvas.addEventListener('keydown', (e) => {
+    if (state.dialog.open || state.transition || editor.on || ending) return;
+    if (e.key === 'Tab') {
+      // Past either end, let Tab carry on to the rest of the page
+      const list = focusTargets();
+      const i = list.findIndex(t => t.id === state.focusId);
+      if (e.shiftKey ? i <= 0 : i === list.length - 1) return;
+      e.preventDefault();
+      moveFocus(e.shiftKey ? -1 : 1);
+    } else if (ARROW_STEP[e.key]) {
+      e.preventDefault();
+      moveFocus(ARROW_STEP[e.key]);
+    } else if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      activateFocused();
+    }
+  });
+
+  // ---------- Scene: Living Room ----------
+  function drawBackgroundSky() {
+    const sky = skyNow();
+    const g = ctx.createLinearGradient(0, 0, 0, H);
+    [0, 0.35, 0.6, 1].forEach((at, i) => g.addColorStop(at, sky.sky[i]));
+    ctx.fillStyle = g;
+    ctx.fillRect(0, 0, W, H);
+    // a sun-ish glow crossing the sky by day…
+    const t = clamp((clockStep() - 6) / 13, 0, 1);
+    if (sky.dark < 1) {
+      softGlow(60 + t * 840, 150 - Math.sin(t * Math.PI) * 100, 180, 'rgba(255,240,200,1)', 0.12 * (1 - sky.dark));
+    }
+    // …and a moon and stars by night
+    if (sky.dark > 0.3) {
+      for (let i = 0; i < 40; i++) {
+        pxRect(hashId(`star${i}`) * W, hashId(`sky${i}`) * 90, 2, 2, `rgba(255,244,227,${sky.dark * 0.6})`);
+      }
+      pxRect(870, 24, 16, 16, '#fff4e3');
+      pxRect(876, 22, 12, 14, sky.sky[0]);
+      softGlow(878, 32, 60, 'rgba(220,230,255,1)', 0.2 * sky.dark);
+    }
+  }
+
+  function drawRoomShell() {
+    // Floor / ground
+    pxRect(0, 420, W, 120, '#2a1c12');
+    // Dirt edge
+    for (let x = 0; x < W; x += 18) {
+      pxRect(x, 420, 9, 6, '#1f140d');
+    }
+
+    // Wooden house box
+    const house = { x: 110, y: 90, w: 740, h: 350 };
+    pxRect(house.x, house.y, house.w, house.h, '#3a2618'); // wood mid
+
+    // Inner walls (lighter)
+    pxRect(house.x + 18, house.y + 18, house.w - 36, house.h - 36, '#4e3322');
+
+    // Roof / top trim (stone-ish)
+    pxRect(house.x, house.y - 18, house.w, 18, '#2b2f3d');
+    pxRect(house.x, house.y - 9, house.w, 9, '#3a3f52');
+
+    // Split floor
+    pxRect(house.x + 18, house.y + 170, house.w - 36, 10, '#2a1c12');
+    pxRect(house.x + 18, house.y + 180, house.w - 36, 6, '#1f140d');
+
+    // Vertical support beams
+    for (let i = 0; i < 6; i++) {
       const bx = house.x + 40 + i * 120;
       pxRect(bx, house.y + 18, 10, house.h - 36, '#2a1c12');
       pxRect(bx+2, house.y + 18, 6, house.h - 36, '#1f140d');
     }
 
-    // Windows (simple)
-    drawWindow(210, 130, 120, 70);
-    drawWindow(635, 130, 140, 70);
-    drawWindow(590, 280, 170, 75);
+    // Windows (simple)
+    drawWindow(210, 130, 120, 70);
+    drawWindow(635, 130, 140, 70);
+    drawWindow(590, 280, 170, 75);
+
+    // Stair / ramp (up to the attic)
+    drawStairs(640, 360, 180, 76);
+
+    // Door through to the kitchen
+    drawDoor(KITCHEN_DOOR);
+
+    // Warm lamps on walls
+    drawWallSconce(360, 205);
+    drawWallSconce(520, 205, 0.15);
+    drawWallSconce(360, 335, 0.35);
+    drawWallSconce(520, 335, 0.55);
+  }
+
+  function drawWindow(x, y, w, h) {
+    if (!maskPass) roomWindows.push({ x, y, w, h });
+    pxRect(x, y, w, h, '#1a263e');
+    // glass takes the colour of the sky outside, greyed by the weather
+    const sky = skyNow();
+    pxRect(x+6, y+6, w-12, h-12, weatherGlass(sky.glass));
+    // the warmer the room, the more lamplight the glass catches
+    const glow = warmthStep();
+    if (glow > 0) pxRect(x+6, y+6, w-12, h-12, `rgba(255,226,170,${glow * 0.3})`);
+    pxRect(x+6, y+6, w-12, 10, weatherGlass(sky.shine));
+    if (glow >= 0.35) softGlow(x + w/2, y + h/2, 90, 'rgba(255,226,170,1)', glow * 0.12);
+    drawWindowBars(x, y, w, h);
+  }
+
+  // Frame + crossbars, drawn again over the weather
+  function drawWindowBars(x, y, w, h) {
+    pxOutline(x, y, w, h, 'rgba(0,0,0,.35)');
+    pxRect(x + (w/2|0) - 2, y, 4, h, 'rgba(0,0,0,.25)');
+    pxRect(x, y + (h/2|0) - 2, w, 4, 'rgba(0,0,0,.25)');
+  }
+
+  function drawStairs(x, y, w, h) {
+    // angled ramp with steps
+    for (let i = 0; i < 12; i++) {
+      const t = i / 11;
+      const sx = x + (t * w);
+      const sy = y - (t * h);
+      pxRect(sx, sy, 28, 10, '#2a1c12');
+      pxRect(sx, sy+8, 28, 2, '#1f140d');
+    }
+  }
+
+  function drawDoor(b) {
+    pxRect(b.x, b.y, b.w, b.h, '#1f140d');
+    pxRect(b.x+4, b.y+4, b.w-8, b.h-4, '#5a3a24');
+    const panelH = ((b.h - 24) / 2)|0;
+    pxRect(b.x+9, b.y+10, b.w-18, panelH, '#4e3322');
+    pxRect(b.x+9, b.y+16+panelH, b.w-18, panelH - 4, '#4e3322');
+    pxRect(b.x+b.w-15, b.y+(b.h/2|0), 5, 5, '#ffd48a');
+  }
+
+  // Sconces with a `litAt` stay dark until the room is that warm
+  function drawWallSconce(x, y, litAt = 0) {
+    // mount
+    pxRect(x, y, 14, 10, '#2a1c12');
+    pxRect(x+4, y+10, 6, 12, '#2a1c12');
+    if (warmthStep() < litAt) {
+      pxRect(x+3, y-6, 8, 8, '#5a463a');
+      pxRect(x+4, y-4, 6, 6, '#3a2d26');
+      return;
+    }
+    // flame, carrying more of the room at night
+    pxRect(x+3, y-6, 8, 8, '#f6d7a7');
+    pxRect(x+4, y-4, 6, 6, '#f0b46b');
+    softGlow(x+7, y-2, 70, 'rgba(255,210,150,1)', 0.22 + skyNow().dark * 0.16);
+    addLight(x+7, y-2, 90);
+  }
+
+  // Living room furniture. Positions are defaults that #layoutData (written
+  // by the layout editor) can override. `carries` names the spirit sitting in
+  // or on the prop, whose bounds move with it in the editor.
+  const props = {
+    // Bookshelf (upper left)
+    bookshelf: { x: 160, y: 180, w: 120, h: 110, resizable: true, carries: 'book',
+      draw: (p) => drawBookshelf(p.x, p.y, p.w, p.h) },
+    // Lamp stand (upper middle-left) - clickable lamp is here
+    lamp: { x: 300, y: 210, w: 68, h: 116, carries: 'lamp',
+      draw: (p) => drawStandingLamp(p.x, p.y) },
+    // Bed-ish cozy nook (upper right)
+    bed: { x: 660, y: 184, w: 150, h: 86,
+      draw: (p) => drawBed(p.x, p.y) },
+    // Kitchen counter + toaster (lower right-ish)
+    counter: { x: 540, y: 320, w: 200, h: 60, resizable: true, carries: 'toaster',
+      draw: (p) => drawCounter(p.x, p.y, p.w, p.h) },
+    // Shelf with teacup (upper right shelf)
+    shelf: { x: 660, y: 200, w: 160, h: 14, resizable: true, carries: 'teacup',
+      draw: (p) => drawShelf(p.x, p.y, p.w) },
+    // Plant (lower left-ish)
+    plant: { x: 86, y: 300, w: 96, h: 96, carries: 'plant',
+      draw: (p) => drawPlant(p.x, p.y) },
+    // Table & clock vibe (lower left center)
+    table: { x: 220, y: 330, w: 110, h: 98,
+      draw: (p) => drawSmallTable(p.x, p.y) },
+  };
+
+  function drawProp(id) {
+    const p = props[id];
+    p.draw(p);
+  }
+
+  function drawFurnitureAndProps() {
+    Object.keys(props).forEach(drawProp);
+  }
+
+  function drawBookshelf(x, y, w, h) {
+    pxRect(x, y, w, h, '#2a1c12');
+    pxRect(x+6, y+6, w-12, h-12, '#3a2618');
+    // shelves
+    for (let i = 0; i < 3; i++) {
+      pxRect(x+8, y+20 + i*28, w-16, 6, '#2a1c12');
+    }
+    // books
+    const books = Math.max(0, ((w - 24) / 9)|0);
+    for (let i = 0; i < books; i++) {
+      const bx = x + 12 + i*9;
+      const by = y + 10 + (i%2)*2;
+      pxRect(bx, by, 6, 22, i%3===0 ? '#bce7d6' : (i%3===1 ? '#d6c9ff' : '#ffcad4'));
+      pxRect(bx, by+18, 6, 4, '#1f140d');
+    }
+    // secret “book spirit” shimmer
+    softGlow(x+60, y+40, 42, 'rgba(188,231,214,1)', 0.12);
+  }
+
+  function drawStandingLamp(x, y) {
+    drawSprite('lamp', x, y);
+    softGlow(x+34, y+12, 110, 'rgba(255,220,170,1)', 0.18 + skyNow().dark * 0.17);
+    addLight(x+34, y+30, 130);
+  }
+
+  function drawBed(x, y) {
+    drawSprite('bed', x, y);
+  }
+
+  function drawCounter(x, y, w, h) {
+    pxRect(x, y, w, h, '#2a1c12');
+    pxRect(x+8, y+8, w-16, h-16, '#3a2618');
+    drawToaster();
+  }
+
+  function drawToaster() {
+    // toaster block (clickable zone aligned with toaster bounds)
+    const b = boundsOf('toaster');
+    if (!b) return;
+    drawSprite('toaster', b.x, b.y);
+    softGlow(b.x+b.w/2, b.y+b.h/2, 54, 'rgba(255,210,150,1)', 0.10);
+  }
+
+  function drawShelf(x, y, w) {
+    pxRect(x, y, w, 10, '#2a1c12');
+    pxRect(x, y+10, w, 4, '#1f140d');
+    drawTeacup();
+  }
+
+  function drawTeacup() {
+    // teacup (clickable bounds aligned)
+    const b = boundsOf('teacup');
+    if (!b) return;
+    drawSprite('teacup', b.x, b.y);
+    softGlow(b.x+b.w/2, b.y+30, 46, 'rgba(214,201,255,1)', 0.10);
+  }
+
+  function drawPlant(x, y) {
+    drawSprite('plant', x, y);
+    softGlow(x+40, y+40, 70, 'rgba(188,231,214,1)', 0.12);
+  }
+
+  function drawSmallTable(x, y) {
+    drawSprite('table', x, y);
+    softGlow(x+55, y+18, 90, 'rgba(255,220,170,1)', 0.20);
+  }
+
+  function drawObjectHighlights() {
+    // Hover outlines / subtle shimmer where spirits are
+    const hover = state.hoveredId;
+    sceneObjects().forEach(o => {
+      const b = o.bounds;
+      const t = (Math.sin(motionTime()*1.8 + hashId(o.id)*2) * 0.5 + 0.5);
+      const shimmer = lerp(0.05, 0.12, t);
+
+      // faint spirit glow always
+      softGlow(b.x + b.w/2, b.y + b.h/2, Math.max(b.w, b.h)*0.9, 'rgba(255,220,170,1)', shimmer);
+
+      if (settings.highContrast) {
+        // Every spirit outlined; the hovered one in a thick light-on-dark frame
+        const on = hover === o.id;
+        pxOutline(b.x-1, b.y-1, b.w+2, b.h+2, on ? '#0e1020' : 'rgba(14,16,32,.8)');
+        pxOutline(b.x, b.y, b.w, b.h, on ? '#ffffff' : '#ffd48a');
+        if (on) pxOutline(b.x+1, b.y+1, b.w-2, b.h-2, '#ffffff');
+      } else if (hover === o.id) {
+        pxOutline(b.x, b.y, b.w, b.h, 'rgba(255,244,227,.65)');
+        softGlow(b.x + b.w/2, b.y + b.h/2, Math.max(b.w,b.h)*1.1, 'rgba(255,220,170,1)', 0.16);
+      }
+    });
+  }
+
+  function hashId(id) {
+    let h = 0;
+    for (let i = 0; i < id.length; i++) h = (h*31 + id.charCodeAt(i)) | 0;
+    return (h >>> 0) / 4294967295;
+  }
+
+  // Nameless little spirits that come out once the room is warm enough
+  const AMBIENT_SPIRITS = [
+    { at: 0.3, colorA: '#bce7d6', colorB: '#7fbfa8' },
+    { at: 0.55, colorA: '#ffcad4', colorB: '#e68a9a' },
+    { at: 0.7, colorA: '#d6c9ff', colorB: '#9f8fe0' },
+    { at: 0.85, colorA: '#ffd48a', colorB: '#f0b46b' },
+  ];
+
+  function drawTinySpiritsAmbient() {
+    // Little floating “motes” and occasional tiny spirit peeks
+    const motes = 28;
+    for (let i = 0; i < motes; i++) {
+      const t = motionTime() * 0.35 + i * 12.3;
+      const x = (i*97 + (Math.sin(t)*120)) % W;
+      const y = 120 + (i*43 + (Math.cos(t*1.2)*60)) % 360;
+      const a = 0.04 + (Math.sin(t*2.2)*0.02 + 0.02);
+      pxRect(x, y, 2, 2, `rgba(255,220,170,${a})`);
+    }
+
+    // Wandering wisps drift in as the room warms (fading out as it cools)
+    AMBIENT_SPIRITS.forEach((s, i) => {
+      const a = clamp((state.warmth - s.at) / 0.05, 0, 1);
+      if (!a) return;
+      const t = motionTime() * 0.12 + i * 2.1;
+      const x = 480 + Math.sin(t * 1.3) * 300 + Math.sin(t * 3.1) * 40;
+      const y = 190 + (i % 2) * 130 + Math.cos(t) * 50;
+      ctx.save();
+      ctx.globalAlpha = a * 0.55;
+      drawSprite('blob', x - 9, y - 9, { anim: 'idle', t: motionTime() + i * 1.7, colors: s });
+      ctx.restore();
+    });
+
+    // “Peek” a tiny blob spirit above completed objects
+    sceneObjects().forEach(o => {
+      const b = o.bounds;
+      if (isQuestComplete(o)) {
+        const bob = isAwake(o) ? Math.sin(motionTime()*2 + hashId(o.id)*10) * 4 : 0;
+        drawSpiritBlob(b.x + b.w/2, b.y - 10 + bob, o);
+      }
+      if (!isAwake(o)) drawSleepZs(b.x + b.w/2 + 10, b.y - 16, o);
+    });
+  }
+
+  // A little trail of z's drifting up from a sleeping spirit
+  function drawSleepZs(x, y, obj) {
+    for (let i = 0; i < 3; i++) {
+      const t = (motionTime() * 0.5 + i / 3 + hashId(obj.id)) % 1;
+      const zx = x + i * 6 + Math.sin(t * 6) * 2;
+      const zy = y - t * 24;
+      const c = `rgba(255,244,227,${0.7 * (1 - t)})`;
+      pxRect(zx, zy, 6, 2, c);
+      pxRect(zx+2, zy+2, 2, 2, c);
+      pxRect(zx, zy+4, 6, 2, c);
+    }
+  }
+
+  // Blobs idle (blinking now and then), wave while hovered and hop through
+  // "react" for a moment after something makes their spirit happy. Their live
+  // mood colours the idle: anxious ones jitter and blink fast, shy ones sink
+  // and fade, lonely ones droop slowly and curious ones lean about.
+  const REACT_TIME = 1.1;
+  const reactedAt = {}; // object id -> state.time
+
+  function reactSpirit(obj) {
+    reactedAt[obj.id] = state.time;
+  }
+
+  function drawSpiritBlob(cx, cy, obj) {
+    const colors = { colorA: obj.spirit.colorA, colorB: obj.spirit.colorB };
+    if (!isAwake(obj)) {
+      drawSprite('blob', cx - 9, cy - 9, { frame: 'blink', colors });
+      return;
+    }
+    const since = state.time - (reactedAt[obj.id] ?? -Infinity);
+    let anim = 'idle';
+    let t = state.time + hashId(obj.id)*3; // spirits don't all blink together
+    let hop = 0;
+    if (since < REACT_TIME) {
+      anim = 'react';
+      t = since;
+      hop = Math.abs(Math.sin(since*Math.PI*3)) * 5;
+    } else if (state.hoveredId === obj.id || state.focusId === obj.id) {
+      anim = 'wave';
+    }
+    const { mood } = moodOf(obj);
+    const s = anim === 'react' ? 0 : moodStrain(obj); // happiness wins while reacting
+    const mt = motionTime();
+    let dx = 0, dy = 0, alpha = 1;
+    if (mood === 'anxious') {
+      dx = Math.round(Math.sin(mt * 37) * 1.5 * s);
+      t *= 1 + s;
+    } else if (mood === 'shy') {
+      dy = 4 * s;
+      alpha = 1 - 0.35 * s;
+    } else if (mood === 'lonely') {
+      dy = 3 * s;
+      t *= 1 - 0.5 * s;
+    } else if (mood === 'curious') {
+      dx = Math.sin(mt * 1.3) * 4 * s;
+    }
+    if (settings.reducedMotion) {
+      t = 0;
+      hop = 0;
+    }
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    drawSprite('blob', cx - 9 + dx, cy - 9 + dy - hop, { anim, t, colors });
+    ctx.restore();
+    softGlow(cx, cy, 50, 'rgba(255,220,170,1)', 0.12 * alpha);
+  }
+
+  // ---------- Scenes ----------
+  // Each room has its own draw routine and exits. Spirits pick their room with
+  // `scene` in data (default "living"). A room opens once its `unlock`
+  // conditions (same keys as dialogue conditions) pass; `reachedWarmth` keeps
+  // it open when the room cools again.
+  const KITCHEN_DOOR = { x: 410, y: 340, w: 56, h: 80 };
+  const SCENE_FADE = 0.35; // seconds to fade out (and again to fade in)
+
+  const scenes = {
+    living: {
+      name: 'Living Room',
+      draw: drawLivingRoom,
+      exits: [
+        { to: 'attic', label: 'Up the stairs', bounds: { x: 736, y: 276, w: 104, h: 60 } },
+        { to: 'kitchen', label: 'Kitchen door', bounds: KITCHEN_DOOR },
+      ],
+    },
+    kitchen: {
+      name: 'Kitchen',
+      draw: drawKitchen,
+      unlock: { reachedWarmth: 0.25 },
+      lockedText: 'The kitchen door is stuck. Maybe once the room is a little warmer…',
+      unlockText: 'Something clicks downstairs. The kitchen door swings open.',
+      exits: [
+        { to: 'living', label: 'Back to the living room', bounds: { x: 130, y: 320, w: 56, h: 100 } },
+        { to: 'shed', label: 'Out to the garden shed', bounds: { x: 780, y: 322, w: 50, h: 98 } },
+      ],
+    },
+    attic: {
+      name: 'Attic',
+      draw: drawAttic,
+      unlock: { reachedWarmth: 0.4 },
+      lockedText: 'The stairs creak and a trapdoor stays shut. The attic is still too cold.',
+      unlockText: 'A trapdoor sighs open above the stairs. The attic is waiting.',
+      exits: [
+        { to: 'living', label: 'Down the ladder', bounds: { x: 748, y: 372, w: 76, h: 46 } },
+      ],
+    },
+    shed: {
+      name: 'Garden Shed',
+      draw: drawShed,
+      unlock: { reachedWarmth: 0.55 },
+      lockedText: 'The back door is latched from the outside. The garden can wait until the house is warmer.',
+      unlockText: 'You hear the back door’s latch lift. The garden shed is open.',
+      exits: [
+        { to: 'kitchen', label: 'Back to the kitchen', bounds: { x: 186, y: 320, w: 60, h: 100 } },
+      ],
+    },
+  };
+
+  const currentScene = () => scenes[state.scene];
+  const sceneObjects = () => objects.filter(o => o.scene === state.scene);
+  const boundsOf = (id) => objects.find(o => o.id === id)?.bounds || null;
+
+  function isSceneUnlocked(id) {
+    return checkCondition(scenes[id].unlock, null);
+  }
+
+  function useExit(exit) {
+    if (!isSceneUnlocked(exit.to)) {
+      showToast(scenes[exit.to].lockedText);
+      audio.beep(240, 0.06, 'sine', 0.02);
+      return;
+    }
+    state.transition = { to: exit.to, t: 0 };
+    audio.beep(520, 0.06, 'triangle', 0.025);
+    audio.beep(390, 0.08, 'sine', 0.02);
+  }
+
+  // t runs 0→1 fading out, swaps rooms, then 1→2 fading back in
+  function updateTransition(dt) {
+    const tr = state.transition;
+    if (!tr) return;
+    const before = tr.t;
+    tr.t += dt / SCENE_FADE;
+    if (before < 1 && tr.t >= 1) {
+      state.scene = tr.to;
+      state.focusId = null;
+      saveGame();
+      showToast(currentScene().name);
+      if (document.activeElement === canvas) moveFocus(1);
+    }
+    if (tr.t >= 2) state.transition = null;
+  }
+
+  function drawTransition() {
+    const tr = state.transition;
+    if (!tr) return;
+    ctx.save();
+    ctx.globalAlpha = clamp(tr.t < 1 ? tr.t : 2 - tr.t, 0, 1);
+    ctx.fillStyle = '#0e1020';
+    ctx.fillRect(0, 0, W, H);
+    ctx.restore();
+  }
+
+  function drawExits() {
+    currentScene().exits.forEach(e => {
+      const b = e.bounds;
+      const open = isSceneUnlocked(e.to);
+      const hover = state.hoveredExit === e;
+      // little bobbing arrow over open exits
+      const bob = Math.sin(motionTime()*3 + hashId(e.to)*6) * 2;
+      const ax = (b.x + b.w/2 - 4)|0;
+      const ay = (b.y - 14 + bob)|0;
+      const c = open ? 'rgba(255,212,138,.85)' : 'rgba(255,244,227,.25)';
+      pxRect(ax, ay, 8, 2, c);
+      pxRect(ax+2, ay+2, 4, 2, c);
+      if (settings.highContrast) {
+        pxOutline(b.x-1, b.y-1, b.w+2, b.h+2, '#0e1020');
+        pxOutline(b.x, b.y, b.w, b.h, hover ? '#ffffff' : (open ? '#ffd48a' : 'rgba(255,244,227,.6)'));
+      } else if (hover) {
+        pxOutline(b.x, b.y, b.w, b.h, open ? 'rgba(255,244,227,.65)' : 'rgba(255,244,227,.25)');
+        if (open) softGlow(b.x + b.w/2, b.y + b.h/2, Math.max(b.w, b.h), 'rgba(255,220,170,1)', 0.14);
+      }
+    });
+  }
+
+  function drawFocusRing() {
+    const t = focusedTarget();
+    if (!t || state.dialog.open || state.transition || editor.on) return;
+    const b = t.bounds;
+    const pad = 4 + Math.round(Math.sin(motionTime()*4) * 0.5 + 0.5);
+    pxOutline(b.x-pad-1, b.y-pad-1, b.w+pad*2+2, b.h+pad*2+2, 'rgba(14,16,32,.85)');
+    pxOutline(b.x-pad, b.y-pad, b.w+pad*2, b.h+pad*2, 'rgba(255,212,138,.95)');
+    pxOutline(b.x-pad+1, b.y-pad+1, b.w+pad*2-2, b.h+pad*2-2, 'rgba(255,212,138,.95)');
+  }
+
+  let toastTimer = 0;
+  function showToast(text, ms = 2600) {
+    toastEl.textContent = text;
+    toastEl.classList.remove('hidden');
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => toastEl.classList.add('hidden'), ms);
+  }
+
+  function drawGroundAndDirt(color = '#2a1c12', edge = '#1f140d') {
+    pxRect(0, 420, W, 120, color);
+    for (let x = 0; x < W; x += 18) {
+      pxRect(x, 420, 9, 6, edge);
+    }
+  }
+
+  function drawLivingRoom() {
+    drawRoomShell();
+    drawDecor();
+    drawFurnitureAndProps();
+  }
+
+  // Decor the living room earns as it warms. It stays once the room has been
+  // that warm, so it's checked against the peak rather than the current warmth.
+  const LIVING_DECOR = [
+    { at: 0.15, draw: drawBunting },
+    { at: 0.35, draw: drawRug },
+    { at: 0.55, draw: drawFairyLights },
+    { at: 0.8, draw: drawPaperStars },
+  ];
+  const DECOR_COLORS = ['#ffcad4', '#bce7d6', '#d6c9ff', '#ffd48a'];
+
+  function drawDecor() {
+    const peak = warmthStep(state.warmthPeak);
+    LIVING_DECOR.forEach(d => { if (peak >= d.at) d.draw(); });
+    if (state.epilogue) drawHousePortrait();
+  }
+
+  // After the ending: everyone in one picture frame
+  function drawHousePortrait() {
+    pxRect(410, 132, 90, 54, '#2a1c12');
+    pxRect(414, 136, 82, 46, '#f6d7a7');
+    endingCast().forEach((o, i) => {
+      const x = 418 + (i % 6) * 13;
+      const y = 142 + Math.floor(i / 6) * 18;
+      pxRect(x, y, 10, 8, o.spirit.colorA);
+      pxRect(x, y + 6, 10, 2, o.spirit.colorB);
+      pxRect(x + 2, y + 3, 2, 2, '#2a1d1a');
+      pxRect(x + 6, y + 3, 2, 2, '#2a1d1a');
+    });
+    softGlow(455, 159, 50, 'rgba(255,220,170,1)', 0.12);
+  }
+
+  function drawBunting() {
+    // two swags of little flags under the ceiling
+    [[140, 480], [480, 820]].forEach(([x0, x1]) => {
+      for (let x = x0; x < x1; x += 4) {
+        const sag = Math.sin(Math.PI * (x - x0) / (x1 - x0)) * 10;
+        pxRect(x, 112 + sag, 4, 2, '#2a1c12');
+      }
+      for (let i = 0, x = x0 + 14; x < x1 - 14; x += 30, i++) {
+        const y = 113 + Math.sin(Math.PI * (x - x0) / (x1 - x0)) * 10;
+        const c = DECOR_COLORS[i % DECOR_COLORS.length];
+        pxRect(x, y, 12, 4, c);
+        pxRect(x+2, y+4, 8, 4, c);
+        pxRect(x+4, y+8, 4, 4, c);
+      }
+    });
+  }
+
+  function drawRug() {
+    pxRect(190, 412, 210, 10, '#6b2f33');
+    pxRect(196, 414, 198, 6, '#a8503f');
+    pxRect(196, 416, 198, 2, '#d68a5c');
+    for (let x = 184; x <= 400; x += 216) {
+      for (let y = 412; y < 422; y += 4) pxRect(x, y, 6, 2, '#f6d7a7');
+    }
+  }
+
+  function drawFairyLights() {
+    // strung along the upper floor beam
+    for (let x = 130; x < 830; x += 4) {
+      const dip = Math.abs(Math.sin((x - 130) * Math.PI / 70)) * 6;
+      pxRect(x, 282 + dip, 4, 2, '#1f140d');
+    }
+    for (let i = 0, x = 165; x < 830; x += 70, i++) {
+      const c = DECOR_COLORS[i % DECOR_COLORS.length];
+      pxRect(x-2, 288, 4, 6, c);
+      softGlow(x, 291, 16, 'rgba(255,220,170,1)', 0.2);
+    }
+  }
+
+  function drawPaperStars() {
+    [[250, 150], [296, 168], [680, 146], [736, 164]].forEach(([x, y]) => {
+      pxRect(x, 108, 2, y - 112, 'rgba(255,244,227,.35)');
+      pxRect(x-1, y-5, 4, 12, '#ffd48a');
+      pxRect(x-5, y-1, 12, 4, '#ffd48a');
+      pxRect(x-3, y-3, 8, 8, '#ffd48a');
+      pxRect(x-1, y-1, 4, 4, '#fff4e3');
+      softGlow(x+1, y+1, 24, 'rgba(255,212,138,1)', 0.16);
+    });
+  }
+
+  // ---------- Scene: Kitchen ----------
+  function drawKitchen() {
+    drawGroundAndDirt();
+
+    const house = { x: 110, y: 90, w: 740, h: 350 };
+    pxRect(house.x, house.y, house.w, house.h, '#3a2618');
+    pxRect(house.x + 18, house.y + 18, house.w - 36, house.h - 36, '#4e3322');
+    pxRect(house.x, house.y - 18, house.w, 18, '#2b2f3d');
+    pxRect(house.x, house.y - 9, house.w, 9, '#3a3f52');
+
+    // Tiled backsplash
+    for (let row = 0; row < 7; row++) {
+      for (let col = 0; col < 44; col++) {
+        const tx = house.x + 18 + col * 16;
+        const ty = 246 + row * 12;
+        pxRect(tx, ty, 15, 11, (row + col) % 2 ? '#5a463a' : '#634d40');
+      }
+    }
+
+    // Corner beams
+    pxRect(house.x + 18, house.y + 18, 10, house.h - 36, '#2a1c12');
+    pxRect(house.x + house.w - 28, house.y + 18, 10, house.h - 36, '#2a1c12');
+
+    drawWindow(430, 126, 150, 84);
+
+    // Pot rail
+    pxRect(168, 150, 124, 4, '#2a1c12');
+    [[176, 30, '#e68a56'], [214, 24, '#f0b46b'], [248, 34, '#e68a56']].forEach(([px, pw, c]) => {
+      pxRect(px + pw/2 - 1, 154, 2, 8, '#2a1c12');
+      pxRect(px, 162, pw, 18, c);
+      pxRect(px - 4, 162, pw + 8, 4, '#3a2618');
+    });
+
+    // Counter run with cupboard doors
+    pxRect(200, 330, 480, 70, '#2a1c12');
+    pxRect(206, 336, 468, 58, '#3a2618');
+    pxRect(196, 324, 488, 8, '#5a3a24');
+    for (let i = 0; i < 6; i++) {
+      if (i === 1 || i === 2) continue; // stove sits here
+      const cx = 214 + i * 76;
+      pxRect(cx, 344, 62, 44, '#4e3322');
+      pxRect(cx + 52, 362, 4, 8, '#ffd48a');
+    }
+
+    // Stove + oven
+    pxRect(288, 318, 124, 104, '#3a3f52');
+    pxRect(292, 322, 116, 8, '#2b2f3d');
+    pxRect(300, 346, 100, 56, '#2b2f3d');
+    pxRect(314, 358, 72, 22, '#1a0f0b');
+    pxRect(318, 362, 64, 14, 'rgba(230,138,86,.55)');
+    softGlow(350, 370, 60, 'rgba(255,170,110,1)', 0.12);
+    drawKettle();
+
+    // Shelf + cookie jar
+    pxRect(540, 222, 130, 10, '#2a1c12');
+    pxRect(540, 232, 130, 4, '#1f140d');
+    drawCookieJar();
+
+    // Fridge
+    pxRect(684, 190, 82, 232, '#c9ced8');
+    pxRect(688, 194, 74, 72, '#dde2ea');
+    pxRect(688, 274, 74, 144, '#dde2ea');
+    pxRect(748, 212, 4, 40, '#9aa3b3');
+    pxRect(748, 284, 4, 60, '#9aa3b3');
+    pxRect(700, 208, 10, 8, '#ffcad4');
+    pxRect(716, 228, 8, 8, '#bce7d6');
+    pxRect(702, 300, 16, 12, '#fff4e3');
+
+    // Doors: back to the living room, out to the garden
+    drawDoor(scenes.kitchen.exits[0].bounds);
+    const back = scenes.kitchen.exits[1].bounds;
+    drawDoor(back);
+    pxRect(back.x + 12, back.y + 14, back.w - 24, 22, '#83d1b4');
+
+    drawWallSconce(250, 205);
+    drawWallSconce(620, 150, 0.55);
+  }
+
+  function drawKettle() {
+    const b = boundsOf('kettle');
+    if (!b) return;
+    drawSprite('kettle', b.x, b.y);
+    softGlow(b.x+b.w/2, b.y+b.h/2, 48, 'rgba(188,231,214,1)', 0.10);
+  }
+
+  function drawCookieJar() {
+    const b = boundsOf('jar');
+    if (!b) return;
+    drawSprite('jar', b.x, b.y);
+    softGlow(b.x+b.w/2, b.y+b.h/2, 44, 'rgba(255,210,150,1)', 0.10);
+  }
+
+  // ---------- Scene: Attic ----------
+  function drawAttic() {
+    drawGroundAndDirt();
+
+    // Gable roof in stepped rows up to the peak
+    const room = { x: 110, y: 210, w: 740, h: 230 };
+    for (let i = 0; i < 10; i++) {
+      const x0 = room.x + i * 34;
+      const w0 = room.w - i * 68;
+      const y0 = room.y - (i + 1) * 12;
+      pxRect(x0 - 18, y0, w0 + 36, 12, '#2b2f3d');
+      pxRect(x0 - 18, y0, w0 + 36, 3, '#3a3f52');
+      pxRect(x0, y0 + 3, w0, 9, '#4e3322');
+      // rafters
+      pxRect(x0, y0, 10, 12, '#2a1c12');
+      pxRect(x0 + w0 - 10, y0, 10, 12, '#2a1c12');
+    }
+    pxRect(room.x, room.y, room.w, room.h, '#3a2618');
+    pxRect(room.x + 18, room.y, room.w - 36, room.h - 18, '#4e3322');
+    pxRect(room.x + 18, room.y, room.w - 36, 10, '#2a1c12'); // collar beam
+
+    // Round window at the gable
+    const cx = 480, cy = 150, r = 26;
+    for (let dy = -r - 4; dy < r + 4; dy += 4) {
+      const half = Math.sqrt(Math.max(0, (r + 4) * (r + 4) - dy * dy))|0;
+      pxRect(cx - half, cy + dy, half * 2, 4, '#1a263e');
+    }
+    for (let dy = -r; dy < r; dy += 4) {
+      const half = Math.sqrt(Math.max(0, r * r - dy * dy))|0;
+      pxRect(cx - half, cy + dy, half * 2, 4, dy < -r/2 ? '#83b3ff' : '#5fa3ff');
+    }
+    pxRect(cx - 2, cy - r, 4, r * 2, 'rgba(0,0,0,.25)');
+    pxRect(cx - r, cy - 2, r * 2, 4, 'rgba(0,0,0,.25)');
+    pxRect(cx - 5, cy + r + 4, 10, room.y - cy - r - 4, '#2a1c12'); // king post
+
+    // Dusty light shaft
+    for (let i = 0; i < 8; i++) {
+      pxRect(462 - i * 10, 180 + i * 28, 36 + i * 8, 28, 'rgba(255,240,200,0.04)');
+    }
+    softGlow(cx, cy, 150, 'rgba(255,240,200,1)', 0.12);
+
+    // Floorboards
+    pxRect(room.x + 18, 404, room.w - 36, 2, '#2a1c12');
+    for (let x = room.x + 40; x < room.x + room.w - 18; x += 64) {
+      pxRect(x, 406, 2, 16, '#2a1c12');
+    }
+
+    // Stacked boxes
+    pxRect(136, 356, 56, 48, '#6b4a2e');
+    pxRect(136, 356, 56, 6, '#7a5636');
+    pxRect(144, 320, 40, 36, '#7a5636');
+    pxRect(144, 320, 40, 5, '#8a6642');
+    pxRect(160, 336, 8, 3, '#f6d7a7');
+
+    drawTrunk();
+    drawRockingHorse();
+    drawRadio();
+
+    // Ladder hatch back down
+    const hb = scenes.attic.exits[0].bounds;
+    pxRect(hb.x, hb.y + 30, hb.w, 16, '#1a0f0b');
+    pxRect(hb.x + 14, hb.y, 6, 44, '#7a5636');
+    pxRect(hb.x + hb.w - 20, hb.y, 6, 44, '#7a5636');
+    for (let i = 0; i < 3; i++) pxRect(hb.x + 14, hb.y + 6 + i * 12, hb.w - 28, 4, '#7a5636');
+
+    drawWallSconce(300, 260);
+    drawWallSconce(640, 260, 0.8);
+  }
+
+  function drawTrunk() {
+    const b = boundsOf('trunk');
+    if (!b) return;
+    drawSprite('trunk', b.x, b.y);
+    softGlow(b.x+b.w/2, b.y+b.h/2, 60, 'rgba(214,201,255,1)', 0.10);
+  }
+
+  function drawRockingHorse() {
+    const b = boundsOf('horse');
+    if (!b) return;
+    drawSprite('horse', b.x, b.y);
+    softGlow(b.x+b.w/2, b.y+b.h/2, 64, 'rgba(255,212,138,1)', 0.10);
+  }
+
+  function drawRadio() {
+    const b = boundsOf('radio');
+    if (!b) return;
+    // crate (reaches down to the floor, so it stays drawn in code)
+    pxRect(b.x-8, b.y+b.h, b.w+16, 422 - b.y - b.h, '#6b4a2e');
+    for (let y = b.y + b.h + 10; y < 420; y += 12) pxRect(b.x-8, y, b.w+16, 2, '#4e3322');
+    drawSprite('radio', b.x, b.y);
+    softGlow(b.x+b.w/2, b.y+b.h/2, 50, 'rgba(255,202,212,1)', 0.10);
+  }
+
+  // ---------- Scene: Garden Shed ----------
+  function drawShed() {
+    // Grass outside + distant hedges
+    drawGroundAndDirt('#2f3a22', '#26301b');
+    for (let i = 0; i < 12; i++) {
+      const hx = i * 84 - 20;
+      pxRect(hx, 392 - (i % 3) * 6, 80, 30 + (i % 3) * 6, '#3d5a34');
+      pxRect(hx + 8, 388 - (i % 3) * 6, 60, 6, '#4f7344');
+    }
+
+    const shed = { x: 170, y: 140, w: 620, h: 300 };
+    pxRect(shed.x, shed.y, shed.w, shed.h, '#3a2618');
+    // plank walls
+    for (let x = shed.x + 18; x < shed.x + shed.w - 18; x += 24) {
+      pxRect(x, shed.y + 18, 22, shed.h - 36, (x / 24) % 2 ? '#5a3a24' : '#4e3322');
+    }
+    // sloped roof, higher on the left
+    for (let i = 0; i < 5; i++) {
+      pxRect(shed.x - 20, shed.y - 18 - i * 8, shed.w + 40 - i * 120, 10, i % 2 ? '#3a3f52' : '#2b2f3d');
+    }
+
+    // Window onto the garden
+    drawWindow(560, 180, 150, 80);
+    pxRect(566, 230, 138, 24, '#83d1b4');
+    pxRect(566, 226, 138, 4, '#bce7d6');
+
+    // Pegboard + tools
+    pxRect(206, 180, 184, 110, '#6b4a2e');
+    for (let y = 190; y < 290; y += 14) {
+      for (let x = 214; x < 386; x += 14) pxRect(x, y, 2, 2, '#4e3322');
+    }
+    pxRect(240, 188, 4, 92, '#f6d7a7');      // rake
+    pxRect(228, 188, 28, 6, '#3a3f52');
+    for (let i = 0; i < 5; i++) pxRect(229 + i * 6, 194, 2, 6, '#3a3f52');
+    pxRect(300, 188, 4, 70, '#f6d7a7');      // spade
+    pxRect(292, 256, 20, 26, '#9aa3b3');
+    pxRect(344, 196, 4, 30, '#f6d7a7');      // trowel
+    pxRect(340, 226, 12, 18, '#9aa3b3');
+
+    // Potting bench
+    pxRect(420, 330, 300, 12, '#7a5636');
+    pxRect(430, 342, 10, 80, '#5a3a24');
+    pxRect(700, 342, 10, 80, '#5a3a24');
+    pxRect(430, 384, 280, 8, '#5a3a24');
+    [[450, '#e68a56'], [500, '#f0b46b'], [560, '#e68a56']].forEach(([px, c]) => {
+      pxRect(px, 364, 30, 20, c);
+      pxRect(px + 12, 356, 6, 8, '#83d1b4');
+    });
+    pxRect(604, 306, 30, 24, '#e68a56');
+    pxRect(612, 294, 4, 12, '#83d1b4');
+    pxRect(608, 292, 12, 4, '#bce7d6');
+
+    // Sack of soil
+    pxRect(290, 370, 52, 52, '#c9a872');
+    pxRect(300, 362, 32, 10, '#c9a872');
+    pxRect(306, 366, 20, 4, '#7a5636');
+
+    drawWateringCan();
+    drawWindChime();
+    drawDoor(scenes.shed.exits[0].bounds);
+    drawWallSconce(430, 210);
+  }
+
+  function drawWateringCan() {
+    const b = boundsOf('can');
+    if (!b) return;
+    drawSprite('can', b.x, b.y);
+    softGlow(b.x+b.w/2, b.y+b.h/2, 50, 'rgba(131,179,255,1)', 0.10);
+  }
+
+  function drawWindChime() {
+    const b = boundsOf('chime');
+    if (!b) return;
+    drawSprite('chime', b.x, b.y);
+    softGlow(b.x+b.w/2, b.y+b.h/2, 54, 'rgba(255,244,201,1)', 0.10);
+  }
+
+  // ---------- Hit Testing ----------
+  // Spirits are hit on their drawn shape by default ("hit": "mask"), or on a
+  // polygon relative to their bounds, or on the plain "box". Where shapes
+  // overlap the higher "z" wins, then whichever comes later in the data.
+  const HIT_SLOP = 3; // px of forgiveness around thin art
+  const SLOP_OFFSETS = [[0, 0], [HIT_SLOP, 0], [-HIT_SLOP, 0], [0, HIT_SLOP], [0, -HIT_SLOP]];
+  const hitMasks = new Map(); // id -> { version, data }
+  const maskLayer = makeLayer();
+  let maskPass = false;
+
+  // What each spirit's object looks like, in room coordinates. Scenes draw
+  // these as part of their props; hit masks are traced from them.
+  const spiritArt = {
+    toaster: drawToaster,
+    teacup: drawTeacup,
+    lamp: () => drawProp('lamp'),
+    book: () => drawProp('bookshelf'),
+    plant: () => drawProp('plant'),
+    kettle: drawKettle,
+    jar: drawCookieJar,
+    trunk: drawTrunk,
+    horse: drawRockingHorse,
+    radio: drawRadio,
+    can: drawWateringCan,
+    chime: drawWindChime,
+  };
+
+  const inBounds = (b, x, y) => x >= b.x && x <= b.x+b.w && y >= b.y && y <= b.y+b.h;
+
+  // Opaque pixels of the object's art inside its bounds, 1 byte per pixel
+  function hitMask(obj) {
+    const cached = hitMasks.get(obj.id);
+    if (cached?.version === layoutVersion) return cached.data;
+
+    const b = obj.bounds;
+    drawInto(maskLayer, () => {
+      maskPass = true;
+      try { spiritArt[obj.id](); } finally { maskPass = false; }
+    });
+    const px = maskLayer.ctx.getImageData(b.x|0, b.y|0, b.w|0, b.h|0).data;
+    const data = new Uint8Array((b.w|0) * (b.h|0));
+    for (let i = 0; i < data.length; i++) data[i] = px[i*4 + 3] > 0 ? 1 : 0;
+    hitMasks.set(obj.id, { version: layoutVersion, data });
+    return data;
+  }
+
+  function maskContains(obj, x, y) {
+    const data = hitMask(obj);
+    const b = obj.bounds;
+    const bw = b.w|0;
+    const bh = b.h|0;
+    return SLOP_OFFSETS.some(([ox, oy]) => {
+      const px = (x - (b.x|0) + ox)|0;
+      const py = (y - (b.y|0) + oy)|0;
+      return px >= 0 && py >= 0 && px < bw && py < bh && data[py*bw + px] === 1;
+    });
+  }
+
+  // Even-odd ray cast; points are [x, y] pairs
+  function polygonContains(points, x, y) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      const [xi, yi] = points[i];
+      const [xj, yj] = points[j];
+      if ((yi > y) !== (yj > y) && x < xi + (y - yi) * (xj - xi) / (yj - yi)) inside = !inside;
+    }
+    return inside;
+  }
+
+  function hitShape(obj) {
+    return obj.hit ?? (spiritArt[obj.id] ? 'mask' : 'box');
+  }
+
+  function objectContains(obj, x, y) {
+    const b = obj.bounds;
+    if (!inBounds(b, x, y)) return false;
+    const hit = hitShape(obj);
+    if (hit === 'mask') return maskContains(obj, x, y);
+    if (hit.polygon) return polygonContains(hit.polygon, x - b.x, y - b.y);
+    return true;
+  }
+
+  function objectAt(x, y) {
+    let top = null;
+    for (const o of sceneObjects()) {
+      if (objectContains(o, x, y) && (!top || (o.z || 0) >= (top.z || 0))) top = o;
+    }
+    return top;
+  }
+
+  // ---------- Interaction ----------
+
+  function updateHover() {
+    state.hoveredId = null;
+    state.hoveredExit = null;
+    if (state.transition) return;
+    const mx = state.pointer.x;
+    const my = state.pointer.y;
+    const obj = objectAt(mx, my);
+    if (obj) {
+      state.hoveredId = obj.id;
+      return;
+    }
+    for (const e of currentScene().exits) {
+      if (inBounds(e.bounds, mx, my)) {
+        state.hoveredExit = e;
+        return;
+      }
+    }
+  }
+
+  function handleClick() {
+    if (!state.pointer.justDown) return;
+    state.pointer.justDown = false;
+
+    if (state.dialog.open || state.transition) return; // clicks go to UI while dialogue open
+
+    if (state.hoveredId) {
+      const obj = objects.find(o => o.id === state.hoveredId);
+      if (obj) {
+        openDialogue(obj);
+        audio.beep(700, 0.05, 'triangle', 0.03);
+      }
+    } else if (state.hoveredExit) {
+      useExit(state.hoveredExit);
+    } else {
+      audio.beep(260, 0.03, 'sine', 0.01);
+    }
+  }
+
+  // ---------- Hint Tooltip ----------
+  // Follows the hovered spirit (mouse), a long-pressed one (touch) or the
+  // keyboard-focused one, sitting above its bounds and kept inside the room.
+  const LONG_PRESS = 0.45; // seconds a finger rests before it's a long-press
+  const TIP_GAP = 8;
+  const TIP_MARGIN = 6;
+
+  function hintFor(obj) {
+    if (!isAwake(obj)) return sleepHint(obj);
+    return (isQuestComplete(obj) && obj.doneHint) || obj.hint;
+  }
+
+  function hintTarget() {
+    if (state.dialog.open || state.transition || editor.on) return null;
+    const id = state.pointer.touch ? state.pressHintId : state.hoveredId;
+    if (id) return objects.find(o => o.id === id) || null;
+    return focusedTarget()?.obj || null;
+  }
+
+  function updateHintTip() {
+    const press = state.press;
+    if (press && !press.long && state.time - press.t >= LONG_PRESS && state.hoveredId) {
+      press.long = true;
+      state.pressHintId = state.hoveredId;
+      audio.beep(820, 0.03, 'triangle', 0.015);
+    }
+
+    const obj = hintTarget();
+    const text = obj && hintFor(obj);
+    if (!text) {
+      hintTip.classList.add('hidden');
+      return;
+    }
+    if (hintTip.textContent !== text) hintTip.textContent = text;
+    hintTip.classList.remove('hidden');
 
-    // Stair / ramp
-    drawStairs(640, 360, 180, 76);
+    // Lay out in room pixels, then convert to CSS pixels over the canvas
+    const scale = cssPerPixel();
+    const tw = hintTip.offsetWidth / scale;
+    const th = hintTip.offsetHeight / scale;
+    const b = obj.bounds;
+    const x = clamp(b.x + b.w/2 - tw/2, TIP_MARGIN, W - tw - TIP_MARGIN);
+    const above = b.y - th - TIP_GAP;
+    const y = above >= TIP_MARGIN ? above : Math.min(b.y + b.h + TIP_GAP, H - th - TIP_MARGIN);
+    const at = toCss(x, y);
+    hintTip.style.left = `${at.x}px`;
+    hintTip.style.top = `${at.y}px`;
+  }
 
-    // Warm lamps on walls
-    drawWallSconce(360, 205);
-    drawWallSconce(520, 205);
-    drawWallSconce(360, 335);
-    drawWallSconce(520, 335);
+  // ---------- Layout Editor ----------
+  // ` (backquote) toggles. Drag a spirit's bounds (mint) or a prop (lavender);
+  // drag the corner handle to resize (props that allow it, and spirits with no
+  // drawn art). Moves snap to TILE unless Alt is held.
+  // Arrows nudge, Ctrl+Z / Ctrl+Shift+Z undo and redo. Export downloads the
+  // layout as JSON for the #layoutData block.
+  const EDITOR_KEY = '`';
+  const HANDLE = 8; // px square in the bottom-right corner that resizes
+  const editor = {
+    on: false,
+    selected: null,   // { kind: 'spirit' | 'prop', id }
+    drag: null,       // { resize, from, orig, carried, before }
+    undo: [],         // layout snapshots (JSON strings)
+    redo: [],
+    returnScene: null,
+  };
+
+  function editorItems() {
+    // Topmost first: spirits above props, later entries above earlier ones
+    const propIds = state.scene === 'living' ? Object.keys(props) : [];
+    return [
+      ...propIds.map(id => ({ kind: 'prop', id })),
+      ...sceneObjects().map(o => ({ kind: 'spirit', id: o.id })),
+    ].reverse();
   }
 
-  function drawWindow(x, y, w, h) {
-    pxRect(x, y, w, h, '#1a263e');
-    pxRect(x+6, y+6, w-12, h-12, '#5fa3ff');
-    pxRect(x+6, y+6, w-12, 10, '#83b3ff');
-    // frame
-    pxOutline(x, y, w, h, 'rgba(0,0,0,.35)');
-    // crossbars
-    pxRect(x + (w/2|0) - 2, y, 4, h, 'rgba(0,0,0,.25)');
-    pxRect(x, y + (h/2|0) - 2, w, 4, 'rgba(0,0,0,.25)');
+  // The live rect an item edits: a spirit's bounds, or the prop itself
+  function itemRect(item) {
+    return item.kind === 'spirit' ? objects.find(o => o.id === item.id).bounds : props[item.id];
   }
 
-  function drawStairs(x, y, w, h) {
-    // angled ramp with steps
-    for (let i = 0; i < 12; i++) {
-      const t = i / 11;
-      const sx = x + (t * w);
-      const sy = y - (t * h);
-      pxRect(sx, sy, 28, 10, '#2a1c12');
-      pxRect(sx, sy+8, 28, 2, '#1f140d');
+  // Sprite art is drawn at a fixed size, so spirits that have some only move
+  const isResizable = (item) => (item.kind === 'spirit' ? !spiritArt[item.id] : !!props[item.id].resizable);
+  const sameItem = (a, b) => !!a && !!b && a.kind === b.kind && a.id === b.id;
+
+  function editorItemAt(x, y) {
+    return editorItems().find(item => inBounds(itemRect(item), x, y)) || null;
+  }
+
+  function snap(v, fine) {
+    return fine ? Math.round(v) : Math.round(v / TILE) * TILE;
+  }
+
+  function rememberLayout(before = JSON.stringify(currentLayout())) {
+    editor.undo.push(before);
+    editor.redo = [];
+  }
+
+  function restoreLayout(from, to) {
+    if (!from.length) return;
+    to.push(JSON.stringify(currentLayout()));
+    applyLayout(JSON.parse(from.pop()));
+    renderEditorPanel();
+    audio.beep(520, 0.04, 'sine', 0.02);
+  }
+
+  function toggleEditor() {
+    if (!running || ending) return;
+    editor.on = !editor.on;
+    editor.drag = null;
+    if (editor.on) {
+      if (state.dialog.open) closeDialogue();
+      state.hoveredId = null;
+      state.hoveredExit = null;
+      editor.returnScene = state.scene;
+      renderEditorScenes();
+    } else {
+      state.scene = editor.returnScene;
+      // Forced weather is a debugging aid; play goes back to the natural sky
+      editorWeather.value = '';
+      forceWeather(null);
     }
+    editorPanel.classList.toggle('hidden', !editor.on);
+    inventoryPanel.classList.toggle('hidden', editor.on);
+    renderEditorPanel();
+    audio.beep(editor.on ? 880 : 440, 0.05, 'triangle', 0.025);
   }
 
-  function drawWallSconce(x, y) {
-    // mount
-    pxRect(x, y, 14, 10, '#2a1c12');
-    pxRect(x+4, y+10, 6, 12, '#2a1c12');
-    // flame
-    pxRect(x+3, y-6, 8, 8, '#f6d7a7');
-    pxRect(x+4, y-4, 6, 6, '#f0b46b');
-    softGlow(x+7, y-2, 70, 'rgba(255,210,150,1)', 0.22);
+  function renderEditorScenes() {
+    editorScene.innerHTML = '';
+    Object.entries(scenes).forEach(([id, sc]) => {
+      const opt = document.createElement('option');
+      opt.value = id;
+      opt.textContent = sc.name;
+      editorScene.appendChild(opt);
+    });
+    editorScene.value = state.scene;
   }
 
-  function drawFurnitureAndProps() {
-    // Bookshelf (upper left)
-    drawBookshelf(160, 180, 120, 110);
+  function renderEditorPanel() {
+    btnEditorUndo.disabled = !editor.undo.length;
+    btnEditorRedo.disabled = !editor.redo.length;
+    const sel = editor.selected;
+    if (!sel) {
+      editorSelection.textContent = 'Nothing selected';
+      return;
+    }
+    const r = itemRect(sel);
+    const name = sel.kind === 'spirit' ? objects.find(o => o.id === sel.id).name : `${sel.id} (prop)`;
+    editorSelection.textContent = `${name} · ${r.x}, ${r.y} · ${r.w}×${r.h}`;
+  }
 
-    // Lamp stand (upper middle-left) - clickable lamp is here
-    drawStandingLamp(300, 210);
+  // Move or resize the selection from its original rect; props drag the
+  // spirit they carry along with them
+  function dragTo(x, y) {
+    const d = editor.drag;
+    if (x === d.from.x && y === d.from.y) return; // a click alone shouldn't snap anything
+    const r = itemRect(editor.selected);
+    const fine = state.pointer.alt;
+    if (d.resize) {
+      r.w = clamp(snap(d.orig.w + x - d.from.x, fine), TILE, W - r.x);
+      r.h = clamp(snap(d.orig.h + y - d.from.y, fine), TILE, H - r.y);
+    } else {
+      r.x = clamp(snap(d.orig.x + x - d.from.x, fine), 0, W - r.w);
+      r.y = clamp(snap(d.orig.y + y - d.from.y, fine), 0, H - r.h);
+      if (d.carried) {
+        const b = objects.find(o => o.id === d.carried.id).bounds;
+        b.x = clamp(d.carried.x + r.x - d.orig.x, 0, W - b.w);
+        b.y = clamp(d.carried.y + r.y - d.orig.y, 0, H - b.h);
+      }
+    }
+    layoutVersion++;
+  }
 
-    // Bed-ish cozy nook (upper right)
-    drawBed(660, 184);
+  function updateEditor() {
+    const { x, y } = state.pointer;
 
-    // Kitchen counter + toaster (lower right-ish)
-    drawCounter(540, 320);
+    if (state.pointer.justDown) {
+      state.pointer.justDown = false;
+      const item = editorItemAt(x, y);
+      editor.selected = item;
+      if (item) {
+        const r = itemRect(item);
+        const carries = item.kind === 'prop' && boundsOf(props[item.id].carries);
+        editor.drag = {
+          resize: isResizable(item) && x >= r.x + r.w - HANDLE && y >= r.y + r.h - HANDLE,
+          from: { x, y },
+          orig: { x: r.x, y: r.y, w: r.w, h: r.h },
+          carried: carries ? { id: props[item.id].carries, x: carries.x, y: carries.y } : null,
+          before: JSON.stringify(currentLayout()),
+        };
+      }
+      renderEditorPanel();
+    }
 
-    // Shelf with teacup (upper right shelf)
-    drawShelf(660, 200);
+    if (!editor.drag) return;
+    if (state.pointer.down) {
+      dragTo(x, y);
+      renderEditorPanel();
+      return;
+    }
+    // Released: one undo step per drag, and only if something moved
+    if (editor.drag.before !== JSON.stringify(currentLayout())) rememberLayout(editor.drag.before);
+    editor.drag = null;
+    renderEditorPanel();
+  }
 
-    // Plant (lower left-ish)
-    drawPlant(86, 300);
+  function nudge(dx, dy) {
+    const sel = editor.selected;
+    if (!sel) return;
+    rememberLayout();
+    const r = itemRect(sel);
+    const carried = sel.kind === 'prop' && boundsOf(props[sel.id].carries);
+    const x = clamp(r.x + dx, 0, W - r.w);
+    const y = clamp(r.y + dy, 0, H - r.h);
+    if (carried) {
+      carried.x = clamp(carried.x + x - r.x, 0, W - carried.w);
+      carried.y = clamp(carried.y + y - r.y, 0, H - carried.h);
+    }
+    r.x = x;
+    r.y = y;
+    layoutVersion++;
+    renderEditorPanel();
+  }
 
-    // Table & clock vibe (lower left center)
-    drawSmallTable(220, 330);
+  function drawEditor() {
+    const sel = editor.selected;
+    editorItems().reverse().forEach(item => {
+      const r = itemRect(item);
+      const picked = sameItem(item, sel);
+      pxOutline(r.x, r.y, r.w, r.h, item.kind === 'spirit' ? 'rgba(131,209,180,.9)' : 'rgba(214,201,255,.75)');
+      if (!picked) return;
+      pxOutline(r.x-2, r.y-2, r.w+4, r.h+4, 'rgba(255,212,138,.95)');
+      if (isResizable(item)) pxRect(r.x + r.w - HANDLE, r.y + r.h - HANDLE, HANDLE, HANDLE, 'rgba(255,212,138,.95)');
+    });
   }
 
-  function drawBookshelf(x, y, w, h) {
-    pxRect(x, y, w, h, '#2a1c12');
-    pxRect(x+6, y+6, w-12, h-12, '#3a2618');
-    // shelves
-    for (let i = 0; i < 3; i++) {
-      pxRect(x+8, y+20 + i*28, w-16, 6, '#2a1c12');
+  function exportLayout() {
+    downloadJson('pocket-spirits-layout.json', currentLayout());
+  }
+
+  const EDITOR_NUDGE = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+
+  window.addEventListener('keydown', (e) => {
+    if (e.target instanceof HTMLInputElement || e.target instanceof HTMLSelectElement) return;
+    if (e.key === EDITOR_KEY) {
+      toggleEditor();
+      return;
     }
-    // books
-    for (let i = 0; i < 10; i++) {
-      const bx = x + 12 + i*9;
-      const by = y + 10 + (i%2)*2;
-      pxRect(bx, by, 6, 22, i%3===0 ? '#bce7d6' : (i%3===1 ? '#d6c9ff' : '#ffcad4'));
-      pxRect(bx, by+18, 6, 4, '#1f140d');
+    if (!editor.on) return;
+    const key = e.key.toLowerCase();
+    if ((e.ctrlKey || e.metaKey) && key === 'z') {
+      e.preventDefault();
+      if (e.shiftKey) restoreLayout(editor.redo, editor.undo);
+      else restoreLayout(editor.undo, editor.redo);
+    } else if ((e.ctrlKey || e.metaKey) && key === 'y') {
+      e.preventDefault();
+      restoreLayout(editor.redo, editor.undo);
+    } else if (EDITOR_NUDGE[e.key]) {
+      e.preventDefault();
+      const step = e.altKey ? 1 : TILE;
+      nudge(EDITOR_NUDGE[e.key][0] * step, EDITOR_NUDGE[e.key][1] * step);
     }
-    // secret “book spirit” shimmer
-    softGlow(x+60, y+40, 42, 'rgba(188,231,214,1)', 0.12);
+  });
+
+  btnEditorUndo.addEventListener('click', () => restoreLayout(editor.undo, editor.redo));
+  btnEditorRedo.addEventListener('click', () => restoreLayout(editor.redo, editor.undo));
+  btnEditorExport.addEventListener('click', exportLayout);
+  editorWeather.addEventListener('change', () => forceWeather(editorWeather.value));
+  btnEditorFlash.addEventListener('click', lightning);
+  editorScene.addEventListener('change', () => {
+    state.scene = editorScene.value;
+    editor.selected = null;
+    renderEditorPanel();
+  });
+
+  // ---------- Ending ----------
+  // Once every fragment is found and the last dialogue closes, `story.ending`
+  // plays full-screen on the canvas: its lines fade in over the gathered
+  // spirits, then the credits roll. Clicks, Enter or Space move it along and
+  // Esc skips to the end. Afterwards the house stays in its epilogue state
+  // (all lit, never cooling) and the ending can be watched again.
+  const ENDING_FADE = 1.5;  // seconds to fade the room out
+  const LINE_TIME = 4.5;    // seconds each line stays up
+  const LINE_FADE = 0.6;
+  const CREDITS_SPEED = 30; // px per second
+  const CREDITS_LINE = 32;  // px between credit lines
+  const CREDITS_FROM = 420; // credits rise from behind the spirits
+  const CREDITS_PAGE = 320; // reduced motion turns the roll into page flips
+  const STAR_COUNT = 70;
+  let ending = null; // { phase: 'fade'|'lines'|'credits'|'end', t, line }
+
+  function endingCredits() {
+    return ['Pocket Spirits', '', 'Starring', ...endingCast().map(o => o.name), '', ...story.ending.credits];
   }
 
-  function drawStandingLamp(x, y) {
-    // pole
-    pxRect(x+30, y+24, 8, 84, '#2a1c12');
-    pxRect(x+28, y+106, 12, 10, '#2a1c12');
-    // shade
-    pxRect(x+16, y, 36, 26, '#fff4e3');
-    pxRect(x+18, y+2, 32, 22, '#f6d7a7');
-    pxRect(x+22, y+6, 24, 14, '#f0b46b');
-    // glow
-    softGlow(x+34, y+12, 110, 'rgba(255,220,170,1)', 0.18);
+  function endingCast() {
+    return objects
+      .filter(o => o.spirit.fragmentIndex != null)
+      .sort((a, b) => a.spirit.fragmentIndex - b.spirit.fragmentIndex);
   }
 
-  function drawBed(x, y) {
-    // platform
-    pxRect(x, y+40, 150, 46, '#2a1c12');
-    pxRect(x+6, y+46, 138, 34, '#3a2618');
-    // blanket
-    pxRect(x+10, y+50, 130, 26, '#d6c9ff');
-    pxRect(x+10, y+50, 130, 8, '#ffcad4');
-    // pillow
-    pxRect(x+20, y+44, 42, 16, '#fff4e3');
-    pxRect(x+22, y+46, 38, 12, '#bce7d6');
-  }
-
-  function drawCounter(x, y) {
-    pxRect(x, y, 200, 60, '#2a1c12');
-    pxRect(x+8, y+8, 184, 44, '#3a2618');
-    // toaster block (clickable zone aligned with toaster bounds)
-    const t = objects.find(o => o.id === 'toaster');
-    const b = t.bounds;
-    pxRect(b.x, b.y+18, b.w, b.h-18, '#5a5f6b');
-    pxRect(b.x+8, b.y+24, b.w-16, b.h-30, '#3a3f52');
-    pxRect(b.x+10, b.y+26, b.w-20, 8, '#83b3ff');
-    // slots
-    pxRect(b.x+16, b.y+18, 18, 6, '#1a0f0b');
-    pxRect(b.x+38, b.y+18, 18, 6, '#1a0f0b');
-    // knob
-    pxRect(b.x+b.w-22, b.y+30, 10, 10, '#ffd48a');
-    softGlow(b.x+b.w/2, b.y+b.h/2, 54, 'rgba(255,210,150,1)', 0.10);
+  function startEnding() {
+    if (state.dialog.open) closeDialogue();
+    closeJournal();
+    closeSettings();
+    ending = { phase: 'fade', t: 0, line: 0 };
+    state.hoveredId = null;
+    state.hoveredExit = null;
+    state.focusId = null;
+    state.pressHintId = null;
+    document.body.classList.add('ending');
+    canvas.focus();
+    announce('The house holds its breath. Press Enter to continue, or Escape to skip.');
   }
 
-  function drawShelf(x, y) {
-    pxRect(x, y, 160, 10, '#2a1c12');
-    pxRect(x, y+10, 160, 4, '#1f140d');
+  function finishEnding() {
+    ending = null;
+    document.body.classList.remove('ending');
+    if (!state.epilogue) {
+      state.epilogue = true;
+      setWarmth(1);
+      saveGame();
+    }
+    renderFragmentsUI();
+    if (story.ending.after) showToast(story.ending.after, 4000);
+  }
 
-    // teacup (clickable bounds aligned)
-    const cup = objects.find(o => o.id === 'teacup');
-    const b = cup.bounds;
-    pxRect(b.x+6, b.y+20, b.w-12, 22, '#fff4e3');
-    pxRect(b.x+8, b.y+22, b.w-16, 18, '#ffcad4');
-    // handle
-    pxRect(b.x+b.w-10, b.y+26, 8, 14, '#fff4e3');
-    pxRect(b.x+b.w-8, b.y+28, 4, 10, '#ffcad4');
-    softGlow(b.x+b.w/2, b.y+30, 46, 'rgba(214,201,255,1)', 0.10);
+  function setEndingPhase(phase) {
+    ending.phase = phase;
+    ending.t = 0;
+    if (phase === 'lines') announce(story.ending.lines[ending.line]);
+    else if (phase === 'credits') announce(endingCredits().filter(Boolean).join('. '));
+    else if (phase === 'end') announce('The end. Press Enter to return to the house.');
   }
 
-  function drawPlant(x, y) {
-    // pot
-    pxRect(x+18, y+66, 42, 30, '#e68a56');
-    pxRect(x+20, y+70, 38, 22, '#f0b46b');
-    pxRect(x+24, y+74, 30, 14, '#3a2618');
-    // stem + leaves
-    pxRect(x+38, y+20, 6, 50, '#2a1c12');
-    for (let i = 0; i < 7; i++) {
-      const lx = x + 14 + i*10;
-      const ly = y + 22 + (i%2)*6;
-      pxRect(lx, ly, 18, 10, '#bce7d6');
-      pxRect(lx+2, ly+2, 14, 6, '#83d1b4');
+  function advanceEnding() {
+    if (ending.phase === 'fade') {
+      setEndingPhase('lines');
+    } else if (ending.phase === 'lines') {
+      if (ending.line < story.ending.lines.length - 1) {
+        ending.line++;
+        setEndingPhase('lines');
+      } else {
+        setEndingPhase('credits');
+      }
+    } else if (ending.phase === 'credits') {
+      setEndingPhase('end');
+    } else {
+      finishEnding();
     }
-    softGlow(x+40, y+40, 70, 'rgba(188,231,214,1)', 0.12);
   }
 
-  function drawSmallTable(x, y) {
-    pxRect(x, y+50, 110, 12, '#2a1c12');
-    pxRect(x+10, y+62, 10, 36, '#2a1c12');
-    pxRect(x+90, y+62, 10, 36, '#2a1c12');
-    // candle-ish
-    pxRect(x+50, y+24, 10, 26, '#fff4e3');
-    pxRect(x+52, y+18, 6, 8, '#f6d7a7');
-    softGlow(x+55, y+18, 90, 'rgba(255,220,170,1)', 0.20);
+  // Starts by itself once all fragments are in and nothing else is going on
+  function updateEnding(dt) {
+    if (!ending) {
+      if (state.epilogue || !story.ending || fragmentCount() < FRAG_SLOTS) return;
+      if (session.slot == null || editor.on || state.dialog.open || state.transition) return;
+      startEnding();
+      return;
+    }
+    if (state.pointer.justDown) {
+      state.pointer.justDown = false;
+      advanceEnding();
+      return;
+    }
+    ending.t += dt;
+    if (ending.phase === 'fade' && ending.t >= ENDING_FADE) setEndingPhase('lines');
+    else if (ending.phase === 'lines' && ending.t >= LINE_TIME) advanceEnding();
+    else if (ending.phase === 'credits' && creditsRoll() >= creditsEnd()) setEndingPhase('end');
   }
 
-  function drawObjectHighlights() {
-    // Hover outlines / subtle shimmer where spirits are
-    const hover = state.hoveredId;
-    objects.forEach(o => {
-      const b = o.bounds;
-      const t = (Math.sin(state.time*1.8 + hashId(o.id)*2) * 0.5 + 0.5);
-      const shimmer = lerp(0.05, 0.12, t);
+  // How far the credits have risen; the last one stops just above the middle
+  const creditsEnd = () => CREDITS_FROM - H/2 + 40 + (endingCredits().length - 1) * CREDITS_LINE;
 
-      // faint spirit glow always
-      softGlow(b.x + b.w/2, b.y + b.h/2, Math.max(b.w, b.h)*0.9, 'rgba(255,220,170,1)', shimmer);
+  function creditsRoll() {
+    const roll = ending.t * CREDITS_SPEED;
+    if (!settings.reducedMotion) return roll;
+    return Math.min(creditsEnd(), (Math.floor(roll / CREDITS_PAGE) + 1) * CREDITS_PAGE);
+  }
 
-      if (hover === o.id) {
-        pxOutline(b.x, b.y, b.w, b.h, 'rgba(255,244,227,.65)');
-        softGlow(b.x + b.w/2, b.y + b.h/2, Math.max(b.w,b.h)*1.1, 'rgba(255,220,170,1)', 0.16);
+  function drawEnding() {
+    if (!ending) return;
+    if (ending.phase === 'fade') {
+      ctx.save();
+      ctx.globalAlpha = clamp(ending.t / ENDING_FADE, 0, 1);
+      ctx.fillStyle = '#0e1020';
+      ctx.fillRect(0, 0, W, H);
+      ctx.restore();
+      return;
+    }
+    drawEndingNight();
+
+    ctx.save();
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#fff4e3';
+    if (ending.phase === 'lines') {
+      const t = ending.t;
+      ctx.globalAlpha = clamp(Math.min(t, LINE_TIME - t) / LINE_FADE, 0, 1);
+      ctx.font = 'italic 24px ui-serif, Georgia, serif';
+      ctx.fillText(story.ending.lines[ending.line], W/2, 210);
+    } else {
+      const roll = ending.phase === 'end' ? creditsEnd() : creditsRoll();
+      endingCredits().forEach((line, i) => {
+        const y = CREDITS_FROM + i * CREDITS_LINE - roll;
+        // fade in over the spirits, out under the top edge
+        const a = Math.min(clamp((CREDITS_FROM - y) / 40, 0, 1), clamp((y - 20) / 60, 0, 1));
+        if (!a || !line) return;
+        ctx.globalAlpha = a;
+        ctx.font = i === 0 ? 'bold 32px ui-serif, Georgia, serif' : '18px ui-sans-serif, system-ui, sans-serif';
+        ctx.fillText(line, W/2, y);
+      });
+      if (ending.phase === 'end') {
+        ctx.globalAlpha = 0.55 + Math.sin(motionTime() * 3) * 0.25;
+        ctx.font = '14px ui-sans-serif, system-ui, sans-serif';
+        ctx.fillText('Click to return to the house', W/2, H - 24);
       }
+    }
+    ctx.restore();
+
+    // the night fades up from the dark the room faded into
+    if (ending.phase === 'lines' && ending.line === 0 && ending.t < LINE_FADE) {
+      ctx.save();
+      ctx.globalAlpha = 1 - ending.t / LINE_FADE;
+      ctx.fillStyle = '#0e1020';
+      ctx.fillRect(0, 0, W, H);
+      ctx.restore();
+    }
+  }
+
+  function drawEndingNight() {
+    const g = ctx.createLinearGradient(0, 0, 0, H);
+    g.addColorStop(0, '#0e1020');
+    g.addColorStop(1, '#2a2d4a');
+    ctx.fillStyle = g;
+    ctx.fillRect(0, 0, W, H);
+    for (let i = 0; i < STAR_COUNT; i++) {
+      const a = 0.35 + Math.sin(motionTime() * 1.5 + i) * 0.25;
+      pxRect(hashId(`star${i}`) * W, hashId(`sky${i}`) * 380, 2, 2, `rgba(255,244,227,${a})`);
+    }
+    // Everyone you helped, side by side, waving
+    const cast = endingCast();
+    cast.forEach((o, i) => {
+      const x = W/2 + (i - (cast.length - 1) / 2) * 64;
+      const hop = Math.abs(Math.sin(motionTime() * 2 + i * 0.7)) * 6;
+      softGlow(x, 470, 40, 'rgba(255,220,170,1)', 0.15);
+      drawSprite('blob', x - 9, 461 - hop, {
+        anim: 'wave', t: motionTime() + i, colors: { colorA: o.spirit.colorA, colorB: o.spirit.colorB },
+      });
     });
   }
 
-  function hashId(id) {
-    let h = 0;
-    for (let i = 0; i < id.length; i++) h = (h*31 + id.charCodeAt(i)) | 0;
-    return (h >>> 0) / 4294967295;
+  window.addEventListener('keydown', (e) => {
+    if (!ending) return;
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      if (ending.phase === 'end') finishEnding();
+      else setEndingPhase('end');
+    } else if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      advanceEnding();
+    }
+  });
+
+  btnReplayEnding.addEventListener('click', () => {
+    if (!editor.on) startEnding();
+  });
+
+  // ---------- Music ----------
+  // A slow generative score on the music bus. Room tone is always there; pad
+  // chords and then a music box fade in as the room warms, and every spirit
+  // you've helped takes a turn playing its own motif (`spirit.motif`, steps
+  // of the pentatonic scale) in its voice's waveform.
+  const BEAT = 60 / 66;   // seconds
+  const LOOKAHEAD = 0.6;  // seconds of notes scheduled ahead of the clock
+  const ROOT = 261.63;    // C4
+  const PENTATONIC = [0, 2, 4, 7, 9];
+  const CHORDS = [[0, 4, 7, 11], [-3, 0, 4, 7], [-7, -3, 0, 4], [-5, -1, 2, 7]]; // Cmaj7 Am7 Fmaj7 G6
+  const music = { layers: null, nextBeat: 0, beat: 0, motifTurn: 0 };
+
+  const pitch = (semitones) => ROOT * Math.pow(2, semitones / 12);
+  const scaleStep = (n) => 12 * Math.floor(n / 5) + PENTATONIC[((n % 5) + 5) % 5];
+  const fadeIn = (w, from, to) => clamp((w - from) / (to - from), 0, 1);
+
+  function startMusic() {
+    const ac = audio.ctx;
+    const layer = () => {
+      const g = ac.createGain();
+      g.gain.value = 0;
+      g.connect(audio.buses.music);
+      return g;
+    };
+    music.layers = { tone: layer(), pad: layer(), box: layer(), motif: layer() };
+    music.layers.motif.gain.value = 1;
+
+    // Room tone: a looped breath of low-passed noise
+    const buf = ac.createBuffer(1, ac.sampleRate * 2, ac.sampleRate);
+    const data = buf.getChannelData(0);
+    let last = 0;
+    for (let i = 0; i < data.length; i++) {
+      last = (last + 0.02 * (Math.random() * 2 - 1)) / 1.02;
+      data[i] = last * 3;
+    }
+    const noise = ac.createBufferSource();
+    noise.buffer = buf;
+    noise.loop = true;
+    const hush = ac.createBiquadFilter();
+    hush.type = 'lowpass';
+    hush.frequency.value = 320;
+    const level = ac.createGain();
+    level.gain.value = 0.05;
+    noise.connect(hush); hush.connect(level); level.connect(music.layers.tone);
+    noise.start();
   }
 
-  function drawTinySpiritsAmbient() {
-    // Little floating “motes” and occasional tiny spirit peeks
-    const motes = 28;
-    for (let i = 0; i < motes; i++) {
-      const t = state.time * 0.35 + i * 12.3;
-      const x = (i*97 + (Math.sin(t)*120)) % W;
-      const y = 120 + (i*43 + (Math.cos(t*1.2)*60)) % 360;
-      const a = 0.04 + (Math.sin(t*2.2)*0.02 + 0.02);
-      pxRect(x, y, 2, 2, `rgba(255,220,170,${a})`);
+  function updateMusic() {
+    if (audio.muted || !audio.ctx) return;
+    if (!music.layers) startMusic();
+    const t0 = audio.ctx.currentTime;
+    const w = state.warmth;
+    const { tone, pad, box } = music.layers;
+    tone.gain.setTargetAtTime(1 - w * 0.5, t0, 1.5);
+    pad.gain.setTargetAtTime(fadeIn(w, 0.05, 0.35), t0, 1.5);
+    box.gain.setTargetAtTime(fadeIn(w, 0.3, 0.65), t0, 1.5);
+
+    // After a pause (hidden tab, muted) pick up from now rather than catch up
+    if (music.nextBeat < t0) music.nextBeat = t0 + 0.1;
+    while (music.nextBeat < t0 + LOOKAHEAD) {
+      playBeat(music.beat++, music.nextBeat);
+      music.nextBeat += BEAT;
     }
+  }
 
-    // “Peek” a tiny blob spirit above completed objects
-    objects.forEach(o => {
-      if (o.quest?.stage === 2) {
-        const b = o.bounds;
-        const bob = Math.sin(state.time*2 + hashId(o.id)*10) * 4;
-        drawSpiritBlob(b.x + b.w/2, b.y - 10 + bob, o.spirit);
-      }
-    });
+  function playBeat(n, t0) {
+    const chord = CHORDS[Math.floor(n / 8) % CHORDS.length];
+    const { pad, box } = music.layers;
+
+    if (n % 8 === 0) {
+      chord.forEach((semi, i) => audio.tone(pitch(semi - 12), t0, BEAT * 9, {
+        type: 'sine', gain: 0.035, attack: 2, detune: i % 2 ? 5 : -5, out: pad,
+      }));
+    }
+
+    // Music box: sparse, leaning on the chord's own notes
+    if (Math.random() < (n % 2 ? 0.25 : 0.55)) {
+      const semi = Math.random() < 0.6
+        ? chord[(Math.random() * chord.length) | 0] + 12
+        : scaleStep(5 + ((Math.random() * 6) | 0));
+      const offbeat = Math.random() < 0.3 ? BEAT / 2 : 0;
+      audio.tone(pitch(semi + 12), t0 + offbeat, 1.8, { type: 'triangle', gain: 0.03, attack: 0.005, out: box });
+    }
+
+    if (n % 16 === 12) {
+      const helped = objects.filter(isQuestComplete);
+      if (helped.length) playMotif(helped[music.motifTurn++ % helped.length], t0);
+    }
   }
 
-  function drawSpiritBlob(cx, cy, spirit) {
-    // Simple pixel blob + face
-    const s = 18;
-    const x = (cx - s/2)|0;
-    const y = (cy - s/2)|0;
+  function playMotif(obj, t0) {
+    const voice = VOICES[obj.spirit.mood] || DEFAULT_VOICE;
+    const steps = obj.spirit.motif || [0, 2, 4, 2];
+    const octave = voice.pitch > 600 ? 12 : 0;
+    steps.forEach((step, i) => {
+      audio.tone(pitch(scaleStep(step) + octave), t0 + i * BEAT / 2, 0.9, {
+        type: voice.type, gain: voice.type === 'square' ? 0.008 : 0.02, attack: 0.01, out: music.layers.motif,
+      });
+    });
+  }
 
-    pxRect(x+4, y+6, 10, 10, spirit.colorA);
-    pxRect(x+6, y+4, 6, 14, spirit.colorA);
-    pxRect(x+6, y+8, 6, 6, spirit.colorB);
+  // ---------- Settings ----------
+  // Only what the player actually changed is saved; anything left alone
+  // follows the system (reduced motion, more contrast) and defaults here.
+  const SETTINGS_KEY = 'pocketSpirits.settings';
+  const LEGACY_MUTE_KEY = 'pocketSpirits.muted'; // mute was remembered on its own before settings
+  const TEXT_SIZES = [1, 1.2, 1.4];
+  const reduceMotionQuery = window.matchMedia?.('(prefers-reduced-motion: reduce)');
+  const moreContrastQuery = window.matchMedia?.('(prefers-contrast: more)');
+  let chosenSettings = {};
+  let settings = systemSettings();
 
-    // eyes
-    pxRect(x+7, y+9, 2, 2, '#1a0f0b');
-    pxRect(x+11, y+9, 2, 2, '#1a0f0b');
-    // blush
-    pxRect(x+6, y+12, 2, 1, 'rgba(255,202,212,.9)');
-    pxRect(x+13, y+12, 2, 1, 'rgba(255,202,212,.9)');
-    softGlow(cx, cy, 50, 'rgba(255,220,170,1)', 0.12);
+  function systemSettings() {
+    return {
+      reducedMotion: !!reduceMotionQuery?.matches,
+      highContrast: !!moreContrastQuery?.matches,
+      textSize: 1,
+      musicVolume: 0.7,
+      sfxVolume: 1,
+      muted: false,
+      realClock: false,
+    };
   }
 
-  // ---------- Interaction ----------
-  function updateHover() {
-    state.hoveredId = null;
-    const mx = state.pointer.x;
-    const my = state.pointer.y;
-    for (const o of objects) {
-      const b = o.bounds;
-      if (mx >= b.x && mx <= b.x+b.w && my >= b.y && my <= b.y+b.h) {
-        state.hoveredId = o.id;
-        return;
+  function loadSettings() {
+    try {
+      chosenSettings = JSON.parse(readStorage(SETTINGS_KEY)) || {};
+    } catch {
+      chosenSettings = {};
+    }
+    if (readStorage(LEGACY_MUTE_KEY) != null) {
+      if (chosenSettings.muted === undefined && readStorage(LEGACY_MUTE_KEY) === '1') {
+        chosenSettings.muted = true;
+        writeStorage(SETTINGS_KEY, JSON.stringify(chosenSettings));
       }
+      writeStorage(LEGACY_MUTE_KEY, null);
     }
+    applySettings();
   }
 
-  function handleClick() {
-    if (!state.pointer.justDown) return;
-    state.pointer.justDown = false;
+  function setSetting(key, value) {
+    chosenSettings[key] = value;
+    writeStorage(SETTINGS_KEY, JSON.stringify(chosenSettings));
+    applySettings();
+  }
 
-    if (state.dialog.open) return; // clicks go to UI while dialogue open
+  function applySettings() {
+    settings = { ...systemSettings(), ...chosenSettings };
+    if (!TEXT_SIZES.includes(settings.textSize)) settings.textSize = 1;
+    audio.setMuted(!!settings.muted);
+    audio.setVolume('music', Number(settings.musicVolume) || 0);
+    audio.setVolume('sfx', Number(settings.sfxVolume) || 0);
+    document.documentElement.style.setProperty('--text-scale', String(settings.textSize));
+    renderSettings();
+  }
 
-    if (state.hoveredId) {
-      const obj = objects.find(o => o.id === state.hoveredId);
-      if (obj) {
-        openDialogue(obj);
-        audio.beep(700, 0.05, 'triangle', 0.03);
-      }
+  // Ambient animation clock; stands still with reduced motion
+  const motionTime = () => settings.reducedMotion ? 0 : state.time;
+
+  function renderSettings() {
+    optReducedMotion.checked = settings.reducedMotion;
+    optHighContrast.checked = settings.highContrast;
+    optTextSize.value = String(settings.textSize);
+    optMusic.value = String(Math.round(settings.musicVolume * 100));
+    optSfx.value = String(Math.round(settings.sfxVolume * 100));
+    optMuted.checked = settings.muted;
+    optRealClock.checked = settings.realClock;
+  }
+
+  function setMuted(muted) {
+    setSetting('muted', muted);
+    announce(muted ? 'Sound off.' : 'Sound on.');
+  }
+
+  function openSettings() {
+    settingsPanel.classList.remove('hidden');
+    btnCloseSettings.focus();
+  }
+
+  function closeSettings() {
+    if (settingsPanel.classList.contains('hidden')) return false;
+    settingsPanel.classList.add('hidden');
+    btnSettings.focus();
+    return true;
+  }
+
+  btnSettings.addEventListener('click', openSettings);
+  btnCloseSettings.addEventListener('click', closeSettings);
+  optReducedMotion.addEventListener('change', () => setSetting('reducedMotion', optReducedMotion.checked));
+  optHighContrast.addEventListener('change', () => setSetting('highContrast', optHighContrast.checked));
+  optTextSize.addEventListener('change', () => setSetting('textSize', Number(optTextSize.value)));
+  optMusic.addEventListener('input', () => setSetting('musicVolume', Number(optMusic.value) / 100));
+  optSfx.addEventListener('input', () => setSetting('sfxVolume', Number(optSfx.value) / 100));
+  optSfx.addEventListener('change', () => audio.beep(660, 0.06, 'sine', 0.03));
+  optMuted.addEventListener('change', () => setMuted(optMuted.checked));
+  optRealClock.addEventListener('change', () => setSetting('realClock', optRealClock.checked));
+  btnResetSettings.addEventListener('click', () => {
+    chosenSettings = {};
+    writeStorage(SETTINGS_KEY, null);
+    applySettings();
+  });
+  reduceMotionQuery?.addEventListener?.('change', applySettings);
+  moreContrastQuery?.addEventListener?.('change', applySettings);
+
+  loadSettings();
+
+  // ---------- Frame Pacing ----------
+  // Full rate while something is happening; after a while with no input the
+  // room drops to a slow ambient rate, and stops entirely while hidden.
+  const IDLE_AFTER = 8; // seconds without input
+  const IDLE_FPS = 12;
+  let running = false;
+  let frameHandle = 0;
+  let frameTimer = 0;
+  let lastInput = now();
+
+  function isIdle() {
+    if (state.dialog.open || state.transition || state.press || activeGame || ending) return false;
+    return (now() - lastInput) / 1000 > IDLE_AFTER;
+  }
+
+  function scheduleTick() {
+    if (!running || document.hidden || frameHandle || frameTimer) return;
+    state.idle = isIdle();
+    if (state.idle) {
+      frameTimer = setTimeout(() => {
+        frameTimer = 0;
+        frameHandle = requestAnimationFrame(tick);
+      }, 1000 / IDLE_FPS);
     } else {
-      audio.beep(260, 0.03, 'sine', 0.01);
+      frameHandle = requestAnimationFrame(tick);
     }
   }
 
+  function wake() {
+    lastInput = now();
+    if (!frameTimer) return;
+    clearTimeout(frameTimer);
+    frameTimer = 0;
+    scheduleTick();
+  }
+
+  ['mousemove', 'mousedown', 'touchstart', 'keydown'].forEach(type => {
+    window.addEventListener(type, wake, { passive: true });
+  });
+
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+      saveGame();
+      audio.ctx?.suspend().catch(() => {});
+      cancelAnimationFrame(frameHandle);
+      clearTimeout(frameTimer);
+      frameHandle = 0;
+      frameTimer = 0;
+      return;
+    }
+    state.last = now(); // don't count the hidden time as one huge frame
+    audio.ctx?.resume().catch(() => {});
+    scheduleTick();
+  });
+
   // ---------- Main Loop ----------
   function tick() {
+    frameHandle = 0;
     const t = now();
-    state.dt = Math.min(0.033, (t - state.last) / 1000);
+    state.dt = Math.min(state.idle ? 1 / IDLE_FPS : 0.033, (t - state.last) / 1000);
     state.last = t;
     state.time += state.dt;
 
-    updateHover();
-    handleClick();
+    updateTransition(state.dt);
+    if (editor.on) {
+      updateEditor();
+    } else if (!ending) {
+      updateHover();
+      handleClick();
+    }
+    updateEnding(state.dt);
+    updateMiniGame(state.dt);
+    updateClock(state.dt);
+    updateWeather();
+    updateMoods(state.dt);
+    updateWarmth(state.dt);
+    updateTypewriter(state.dt);
+    updateMusic();
+    updateHintTip();
 
     draw();
+    drawPortrait();
 
-    requestAnimationFrame(tick);
+    scheduleTick();
   }
 
   function draw() {
     // Clear
     ctx.clearRect(0, 0, W, H);
 
-    // Sky-ish background + soft light
-    drawBackgroundSky();
-
-    // House / room
-    drawRoomShell();
-
-    // Props
-    drawFurnitureAndProps();
+    // Sky glow + room shell + props for whichever scene we're in (cached)
+    refreshStaticLayers();
+    ctx.drawImage(backgroundLayer.canvas, 0, 0);
+    drawWeather();
 
     // Ambient spirits + motes
     drawTinySpiritsAmbient();
 
-    // Hover highlights
+    // Night shade + cozy warm overlay inside house (soft “lighting”, cached)
+    ctx.drawImage(overlayLayer.canvas, 0, 0);
+
+    // Hover highlights + doorways, kept bright at night
     drawObjectHighlights();
+    drawExits();
+    drawFocusRing();
+    if (editor.on) drawEditor();
 
-    // Cozy global warm overlay inside house (soft “lighting”)
-    drawWarmOverlay();
+    // Fade between rooms
+    drawTransition();
+    drawEnding();
+
+    present();
   }
 
   function drawWarmOverlay() {
     // A warm tone glaze inside the room area
     ctx.save();
-    ctx.globalAlpha = 0.18 + state.warmth * 0.10;
+    ctx.globalAlpha = 0.18 + warmthStep() * 0.10;
     const g = ctx.createLinearGradient(0, 120, 0, 520);
     g.addColorStop(0, 'rgba(255,214,167,0.20)');
     g.addColorStop(1, 'rgba(230,138,86,0.08)');
@@ -1032,21 +4522,162 @@
     ctx.restore();
   }
 
+  // ---------- Title / Slot Select ----------
+  // Slot actions that overwrite or delete ask for a second click first.
+  let pendingConfirm = null; // { slot, action }
+
+  function slotSummary(save) {
+    const found = (save.fragments || []).filter(Boolean).length;
+    const warmth = Math.round(savedWarmth(save) * 100);
+    const when = save.savedAt ? new Date(save.savedAt).toLocaleDateString() : '';
+    return `✶ ${found}/${FRAG_SLOTS} · Warmth ${warmth}%` + (when ? ` · ${when}` : '');
+  }
+
+  function firstEmptySlot() {
+    for (let slot = 1; slot <= SLOT_COUNT; slot++) {
+      if (readSlot(slot) === null) return slot;
+    }
+    return null;
+  }
+
+  function slotButton(label, onClick, opts = {}) {
+    const b = document.createElement('button');
+    b.className = opts.primary ? 'btn' : 'smallBtn';
+    b.textContent = label;
+    b.disabled = !!opts.disabled;
+    if (opts.title) b.title = opts.title;
+    b.addEventListener('click', onClick);
+    return b;
+  }
+
+  function confirmed(slot, action) {
+    if (pendingConfirm?.slot === slot && pendingConfirm.action === action) {
+      pendingConfirm = null;
+      return true;
+    }
+    pendingConfirm = { slot, action };
+    audio.beep(360, 0.04, 'sine', 0.02);
+    renderTitleScreen();
+    return false;
+  }
+
+  function renderTitleScreen() {
+    slotList.innerHTML = '';
+    const emptySlot = firstEmptySlot();
+
+    for (let slot = 1; slot <= SLOT_COUNT; slot++) {
+      const save = readSlot(slot);
+      const card = document.createElement('div');
+      card.className = 'slot' + (save ? '' : ' empty');
+
+      const info = document.createElement('div');
+      info.className = 'slotInfo';
+      const btns = document.createElement('div');
+      btns.className = 'slotBtns';
+      const asking = (action) => pendingConfirm?.slot === slot && pendingConfirm.action === action;
+      const deleteButton = () => slotButton(asking('delete') ? 'Really delete?' : 'Delete', () => {
+        if (!confirmed(slot, 'delete')) return;
+        deleteSlot(slot);
+        audio.beep(300, 0.05, 'sine', 0.02);
+        renderTitleScreen();
+      });
+
+      if (save === UNREADABLE) {
+        // Only deleting is offered, so nothing overwrites it by accident
+        info.innerHTML = '<div class="slotName"></div><div class="slotMeta">Unreadable save</div>';
+        info.firstChild.textContent = defaultSlotName(slot);
+        btns.appendChild(deleteButton());
+      } else if (save) {
+        info.innerHTML = '<div class="slotName"></div><div class="slotMeta"></div>';
+        info.firstChild.textContent = save.name || defaultSlotName(slot);
+        info.lastChild.textContent = slotSummary(save);
+
+        btns.appendChild(slotButton('Continue', () => {
+          loadGame(slot);
+          startPlaying();
+        }, { primary: true }));
+        btns.appendChild(slotButton(asking('new') ? 'Start over?' : 'New game', () => {
+          if (!confirmed(slot, 'new')) return;
+          newGame(slot, save.name);
+          startPlaying();
+        }));
+        btns.appendChild(slotButton('Copy', () => {
+          copySlot(slot, emptySlot);
+          audio.beep(760, 0.05, 'triangle', 0.025);
+          renderTitleScreen();
+        }, { disabled: emptySlot == null, title: 'Copy into the next empty slot' }));
+        btns.appendChild(deleteButton());
+      } else {
+        const nameInput = document.createElement('input');
+        nameInput.className = 'slotNameInput';
+        nameInput.type = 'text';
+        nameInput.maxLength = 24;
+        nameInput.placeholder = defaultSlotName(slot);
+        nameInput.setAttribute('aria-label', `Name for slot ${slot}`);
+        info.innerHTML = '<div class="slotMeta">Empty slot</div>';
+        info.prepend(nameInput);
+
+        btns.appendChild(slotButton('New game', () => {
+          newGame(slot, nameInput.value.trim());
+          startPlaying();
+        }, { primary: true }));
+      }
+
+      card.appendChild(info);
+      card.appendChild(btns);
+      slotList.appendChild(card);
+    }
+
+    // Quick "continue" for whichever slot was played last
+    const last = Number(readStorage(LAST_SLOT_KEY));
+    const found = last ? readSlot(last) : null;
+    const lastSave = isSave(found) ? found : null;
+    btnContinueLast.classList.toggle('hidden', !lastSave);
+    if (lastSave) btnContinueLast.textContent = `Continue “${lastSave.name || defaultSlotName(last)}”`;
+    btnContinueLast.onclick = () => {
+      loadGame(last);
+      startPlaying();
+    };
+  }
+
   // ---------- Boot ----------
   function init() {
+    // Paint the room once behind the title screen; tick() starts with a slot
+    fitCanvas();
+    draw();
+    inventoryPanel.classList.add('hidden');
+    tapHint.style.display = 'none';
+    titleScreen.classList.remove('hidden');
+    adoptLegacySave();
+    renderTitleScreen();
+  }
+
+  function startPlaying() {
+    titleScreen.classList.add('hidden');
+    inventoryPanel.classList.remove('hidden');
+    tapHint.style.display = state.discoveredAny ? 'none' : '';
     renderFragmentsUI();
+    audio.beep(640, 0.05, 'sine', 0.03);
 
     // “Tap an object” hint fades after first discovery
     const hintPulse = () => {
       if (state.discoveredAny) return;
-      const t = state.time;
+      const t = motionTime();
       tapHint.style.opacity = String(0.75 + Math.sin(t*2.0)*0.15);
       requestAnimationFrame(hintPulse);
     };
     hintPulse();
 
-    tick();
+    state.last = now();
+    lastInput = now();
+    running = true;
+    scheduleTick();
   }
 
-  init();
+  // Sprite and spirit data must load and validate before anything else happens
+  Promise.all([loadSprites(), loadSpirits()]).then(([spriteErrors, spiritErrors]) => {
+    const errors = [...spriteErrors, ...spiritErrors];
+    if (errors.length) showDataErrors(errors);
+    else init();
+  }).catch(err => showDataErrors([err.message]));
 })();